@@ -0,0 +1,98 @@
+import { Readable } from 'stream';
+import cloudinary from '../cloudinary.js';
+
+const FOLDER = 'kanban-board';
+const RESOURCE_TYPES = ['image', 'raw', 'video'];
+
+/**
+ * Split a storage key ("<resource_type>:<public_id>") into its parts.
+ * Keys of files uploaded before drivers existed are full Cloudinary URLs.
+ */
+const parseKey = (key) => {
+  if (key.startsWith('http://') || key.startsWith('https://')) {
+    return parseUrl(key);
+  }
+
+  const [resourceType, ...rest] = key.split(':');
+  if (RESOURCE_TYPES.includes(resourceType) && rest.length > 0) {
+    return { resourceType, publicId: rest.join(':') };
+  }
+  return { resourceType: 'image', publicId: key };
+};
+
+/**
+ * Extract resource type and public ID from a Cloudinary URL
+ * Format: https://res.cloudinary.com/{cloud_name}/{resource_type}/upload/{version}/{public_id}.{format}
+ */
+const parseUrl = (url) => {
+  const urlParts = url.split('?')[0].split('/');
+  const uploadIndex = urlParts.findIndex((part) => part === 'upload');
+
+  if (uploadIndex === -1) {
+    // Fallback: use the last part of the URL
+    return { resourceType: 'image', publicId: urlParts[urlParts.length - 1].split('.')[0] };
+  }
+
+  const resourceType = RESOURCE_TYPES.includes(urlParts[uploadIndex - 1])
+    ? urlParts[uploadIndex - 1]
+    : 'image';
+
+  // Skip version if it starts with 'v' and is numeric
+  let afterUpload = urlParts.slice(uploadIndex + 1);
+  if (afterUpload[0] && /^v\d+$/.test(afterUpload[0])) {
+    afterUpload = afterUpload.slice(1);
+  }
+
+  // Raw files keep their extension in the public ID
+  const path = afterUpload.join('/');
+  const publicId = resourceType === 'raw' ? path : path.replace(/\.[^/.]+$/, '');
+  return { resourceType, publicId };
+};
+
+/**
+ * Storage driver keeping files in Cloudinary
+ */
+const createCloudinaryDriver = () => ({
+  name: 'cloudinary',
+
+  put: (file) =>
+    new Promise((resolve, reject) => {
+      const upload = cloudinary.uploader.upload_stream(
+        { folder: FOLDER, resource_type: 'auto' },
+        (error, result) => {
+          if (error) return reject(error);
+          resolve({
+            key: `${result.resource_type}:${result.public_id}`,
+            url: result.secure_url,
+          });
+        }
+      );
+      upload.end(file.buffer);
+    }),
+
+  get: async (key) => {
+    const { resourceType, publicId } = parseKey(key);
+    const url = key.startsWith('http')
+      ? key
+      : cloudinary.url(publicId, { resource_type: resourceType, secure: true });
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Cloudinary download failed with status ${response.status}`);
+    }
+    return Readable.fromWeb(response.body);
+  },
+
+  delete: async (key) => {
+    const { resourceType, publicId } = parseKey(key);
+    await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+  },
+
+  url: (key) => {
+    if (key.startsWith('http')) return key;
+    const { resourceType, publicId } = parseKey(key);
+    return cloudinary.url(publicId, { resource_type: resourceType, secure: true });
+  },
+});
+
+export default createCloudinaryDriver;
@@ -0,0 +1,49 @@
+import dotenv from 'dotenv';
+import createCloudinaryDriver from './cloudinaryDriver.js';
+import createLocalDriver from './localDriver.js';
+
+dotenv.config();
+
+/**
+ * Attachment storage.
+ *
+ * A driver implements:
+ * - put(file) -> { key, url }   file is a multer memory file ({ buffer, originalname, mimetype, size })
+ * - get(key) -> readable stream
+ * - delete(key)
+ * - url(key) -> public URL, or null when files are only served by the download route
+ *
+ * STORAGE_DRIVER picks the driver for new uploads ("cloudinary" or "local").
+ * Existing files keep using the driver they were stored with.
+ */
+const driverFactories = {
+  cloudinary: createCloudinaryDriver,
+  local: createLocalDriver,
+};
+
+const drivers = new Map();
+
+// File types accepted for upload
+export const ALLOWED_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'pdf', 'doc', 'docx', 'txt', 'xls', 'xlsx'];
+
+/**
+ * Get a storage driver by name (defaults to the configured driver)
+ */
+export const getStorageDriver = (name = process.env.STORAGE_DRIVER || 'cloudinary') => {
+  if (!driverFactories[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  if (!drivers.has(name)) {
+    drivers.set(name, driverFactories[name]());
+  }
+  return drivers.get(name);
+};
+
+/**
+ * Use a custom driver under a name (e.g. an in-memory driver in tests)
+ */
+export const registerStorageDriver = (name, driver) => {
+  driverFactories[name] = () => driver;
+  drivers.set(name, driver);
+};
@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Storage driver keeping files on the local filesystem.
+ * Files have no public URL; they are served by the authenticated
+ * attachment download route.
+ */
+const createLocalDriver = ({ root = process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'uploads') } = {}) => {
+  // Keys are plain file names inside root; anything else is rejected
+  const resolvePath = (key) => {
+    if (!key || path.basename(key) !== key) {
+      throw new Error('Invalid storage key');
+    }
+    return path.join(root, key);
+  };
+
+  return {
+    name: 'local',
+
+    put: async (file) => {
+      await fs.promises.mkdir(root, { recursive: true });
+
+      const extension = path.extname(file.originalname || '').toLowerCase();
+      const key = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+
+      await fs.promises.writeFile(resolvePath(key), file.buffer);
+      return { key, url: null };
+    },
+
+    get: async (key) => {
+      const filePath = resolvePath(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    delete: async (key) => {
+      try {
+        await fs.promises.unlink(resolvePath(key));
+      } catch (error) {
+        // Already gone
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    url: () => null,
+  };
+};
+
+export default createLocalDriver;
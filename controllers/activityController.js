@@ -0,0 +1,49 @@
+import Activity from '../models/activity.model.js';
+import { getTaskContext, canAccessWorkspace } from '../utils/access.utils.js';
+
+/**
+ * Get the activity log of a task, newest first (only workspace members)
+ * Query: page (default 1), limit (default 20, max 100)
+ */
+export const getTaskActivity = async (req, res) => {
+  try {
+    const { task, board, workspace } = await getTaskContext(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const [activities, total] = await Promise.all([
+      Activity.find({ task: task._id })
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Activity.countDocuments({ task: task._id }),
+    ]);
+
+    res.json({
+      activities,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
@@ -0,0 +1,156 @@
+import Task from '../models/task.model.js';
+import { getStorageDriver } from '../config/storage/index.js';
+import {
+  getTaskContext,
+  canAccessWorkspace,
+  canEditTask,
+} from '../utils/access.utils.js';
+import {
+  getUploadedFiles,
+  storeUploadedFiles,
+  deleteAttachmentFiles,
+} from '../utils/attachment.utils.js';
+
+/**
+ * Add one or more files to a task (task creator, assigned user, workspace admin, or app admin)
+ */
+export const addAttachments = async (req, res) => {
+  try {
+    const files = getUploadedFiles(req);
+
+    if (files.length === 0) {
+      return res.status(400).json({ msg: 'No file uploaded' });
+    }
+
+    const { task, board, workspace } = await getTaskContext(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+    if (!canEditTask(task, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const attachments = await storeUploadedFiles(req, task._id);
+
+    const updated = await Task.findByIdAndUpdate(
+      task._id,
+      { $push: { attachments: { $each: attachments } } },
+      { new: true }
+    )
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email');
+
+    res.json(updated);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Remove a file from a task (uploader, task creator, assigned user, workspace admin, or app admin)
+ */
+export const deleteAttachment = async (req, res) => {
+  try {
+    const { task, board, workspace } = await getTaskContext(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ msg: 'Attachment not found' });
+    }
+
+    const isUploader = attachment.uploadedBy?.toString() === req.user.id;
+    if (!isUploader && !canEditTask(task, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    await deleteAttachmentFiles([attachment]);
+
+    const updated = await Task.findByIdAndUpdate(
+      task._id,
+      { $pull: { attachments: { _id: attachment._id } } },
+      { new: true }
+    )
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email');
+
+    res.json(updated);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Download an attachment's file (only workspace members)
+ */
+export const downloadAttachment = async (req, res) => {
+  try {
+    const { task, board, workspace } = await getTaskContext(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ msg: 'Attachment not found' });
+    }
+
+    let stream;
+    try {
+      const driver = getStorageDriver(attachment.storage || 'cloudinary');
+      stream = await driver.get(attachment.key || attachment.url);
+    } catch (error) {
+      console.error('Error reading attachment file:', error.message);
+      return res.status(404).json({ msg: 'File not found' });
+    }
+
+    res.attachment(attachment.filename || 'attachment');
+    if (attachment.mimeType) res.type(attachment.mimeType);
+
+    stream.on('error', (error) => {
+      console.error('Error streaming attachment file:', error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
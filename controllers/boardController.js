@@ -1,10 +1,14 @@
 import Board from '../models/board.model.js';
 import Workspace from '../models/workspace.model.js';
 import User from '../models/user.model.js';
+import Column from '../models/column.model.js';
+import { createDefaultColumns, withColumnWip } from '../utils/column.utils.js';
 import { sendBoardInvitation } from '../utils/emailService.js';
+import { descriptionFields } from '../utils/markdown.utils.js';
 
 /**
  * Get boards by workspace (only workspace members can view)
+ * Each board lists its columns with task counts against their WIP limits.
  */
 export const getBoardsByWorkspace = async (req, res) => {
   try {
@@ -30,7 +34,7 @@ export const getBoardsByWorkspace = async (req, res) => {
       .populate('workspace', 'name')
       .sort({ createdAt: 1 });
 
-    res.json(boards);
+    res.json(await withColumnWip(boards));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -58,7 +62,7 @@ export const getBoards = async (req, res) => {
       .populate('workspace', 'name')
       .sort({ createdAt: 1 });
 
-    res.json(boards);
+    res.json(await withColumnWip(boards));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -90,7 +94,8 @@ export const getBoardById = async (req, res) => {
       return res.status(403).json({ msg: 'Access denied' });
     }
 
-    res.json(board);
+    const [response] = await withColumnWip([board]);
+    res.json(response);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -121,18 +126,20 @@ export const createBoard = async (req, res) => {
 
     const newBoard = new Board({
       title,
-      description,
+      ...descriptionFields(description),
       workspace: workspaceId,
       owner: req.user.id,
       members: [req.user.id],
     });
 
     const board = await newBoard.save();
+    await createDefaultColumns(board._id);
     await board.populate('owner', 'name email');
     await board.populate('members', 'name email');
     await board.populate('workspace', 'name');
 
-    res.json(board);
+    const [response] = await withColumnWip([board]);
+    res.json(response);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -141,7 +148,15 @@ export const createBoard = async (req, res) => {
 
 export const updateBoard = async (req, res) => {
   try {
-    const { title, description, members } = req.body;
+    const {
+      title,
+      description,
+      members,
+      blockedCompletion,
+      estimateUnit,
+      sortMode,
+      wipEnforcement,
+    } = req.body;
 
     let board = await Board.findById(req.params.id).populate('workspace');
 
@@ -184,10 +199,27 @@ export const updateBoard = async (req, res) => {
       }
     }
 
+    if (blockedCompletion !== undefined && !['reject', 'warn'].includes(blockedCompletion)) {
+      return res.status(400).json({ msg: 'blockedCompletion must be "reject" or "warn"' });
+    }
+    if (estimateUnit !== undefined && !['points', 'hours'].includes(estimateUnit)) {
+      return res.status(400).json({ msg: 'estimateUnit must be "points" or "hours"' });
+    }
+    if (sortMode !== undefined && !['rank', 'priority'].includes(sortMode)) {
+      return res.status(400).json({ msg: 'sortMode must be "rank" or "priority"' });
+    }
+    if (wipEnforcement !== undefined && !['reject', 'warn'].includes(wipEnforcement)) {
+      return res.status(400).json({ msg: 'wipEnforcement must be "reject" or "warn"' });
+    }
+
     const updateData = {};
     if (title !== undefined) updateData.title = title;
-    if (description !== undefined) updateData.description = description;
+    if (description !== undefined) Object.assign(updateData, descriptionFields(description));
     if (members !== undefined) updateData.members = members;
+    if (blockedCompletion !== undefined) updateData.blockedCompletion = blockedCompletion;
+    if (estimateUnit !== undefined) updateData.estimateUnit = estimateUnit;
+    if (sortMode !== undefined) updateData.sortMode = sortMode;
+    if (wipEnforcement !== undefined) updateData.wipEnforcement = wipEnforcement;
 
     board = await Board.findByIdAndUpdate(
       req.params.id,
@@ -198,7 +230,8 @@ export const updateBoard = async (req, res) => {
       .populate('members', 'name email')
       .populate('workspace', 'name');
 
-    res.json(board);
+    const [response] = await withColumnWip([board]);
+    res.json(response);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -236,6 +269,7 @@ export const deleteBoard = async (req, res) => {
       return res.status(403).json({ msg: 'Not authorized' });
     }
 
+    await Column.deleteMany({ board: req.params.id });
     await Board.findByIdAndDelete(req.params.id);
     res.json({ msg: 'Board removed' });
   } catch (err) {
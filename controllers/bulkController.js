@@ -0,0 +1,175 @@
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import {
+  updateTask,
+  deleteTask,
+  permanentlyDeleteTask,
+} from './taskController.js';
+import { normalizeLabelIds } from '../utils/label.utils.js';
+
+// Most tasks changed by one bulk request
+const MAX_BULK_TASKS = 100;
+
+const BULK_ACTIONS = ['status', 'assign', 'label', 'move', 'archive', 'delete'];
+
+// How assignees and labels combine with the task's current ones
+const BULK_MODES = ['add', 'remove', 'set'];
+
+/**
+ * Run a task handler for one task of a bulk request, as if the user had
+ * called its endpoint, and capture its response as { status, body }
+ */
+const runTaskHandler = async (handler, req, taskId, body) => {
+  const result = { status: 200, body: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(data) {
+      result.body = data;
+      return this;
+    },
+    send(data) {
+      result.body = data;
+      return this;
+    },
+  };
+
+  await handler({ params: { id: taskId }, body, query: {}, user: req.user }, res);
+  return result;
+};
+
+/**
+ * Combine current ids with the requested ones following the mode
+ */
+const combineIds = (current, ids, mode) => {
+  const currentIds = current.map((id) => id.toString());
+  if (mode === 'add') return [...new Set([...currentIds, ...ids])];
+  if (mode === 'remove') return currentIds.filter((id) => !ids.includes(id));
+  return ids;
+};
+
+/**
+ * Build the updateTask body of an action for one task
+ */
+const updateBodyFor = (action, task, input) => {
+  switch (action) {
+    case 'status':
+      return { column: input.column, status: input.status };
+    case 'assign':
+      return { assignedTo: combineIds(task.assignedTo, input.assignees, input.mode) };
+    case 'label':
+      return { labels: combineIds(task.labels, input.labels, input.mode) };
+    case 'move':
+      return { board: input.board, column: input.column };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Apply one action to many tasks. Each task goes through the same handler,
+ * and so the same permission checks, as its single-task endpoint:
+ * - status: { column } or { status } (updateTask)
+ * - assign: { assignees, mode } - mode is add (default), remove or set (updateTask)
+ * - label: { labels, mode } - as for assign (updateTask)
+ * - move: { board, column } - board in the same workspace, column optional (updateTask)
+ * - archive (deleteTask)
+ * - delete: archives the task if needed, then deletes it permanently
+ *   (deleteTask, permanentlyDeleteTask)
+ * Body: { taskIds, action, ...options }
+ * Tasks are handled one by one; the response reports each task's outcome.
+ */
+export const bulkUpdateTasks = async (req, res) => {
+  try {
+    const { taskIds, action } = req.body || {};
+
+    if (!Array.isArray(taskIds) || taskIds.length === 0) {
+      return res.status(400).json({ msg: 'taskIds must be a non-empty array' });
+    }
+    const ids = [...new Set(taskIds.map((id) => String(id)))];
+    if (ids.length > MAX_BULK_TASKS) {
+      return res.status(400).json({ msg: `At most ${MAX_BULK_TASKS} tasks can be changed at once` });
+    }
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ msg: `action must be one of: ${BULK_ACTIONS.join(', ')}` });
+    }
+
+    const input = { ...req.body, mode: req.body.mode || 'add' };
+    if (!BULK_MODES.includes(input.mode)) {
+      return res.status(400).json({ msg: `mode must be one of: ${BULK_MODES.join(', ')}` });
+    }
+    if (action === 'status' && !input.column && !input.status) {
+      return res.status(400).json({ msg: 'Column or status is required' });
+    }
+    if (action === 'move' && !input.board) {
+      return res.status(400).json({ msg: 'Board ID is required' });
+    }
+    if (action === 'assign') {
+      if (!Array.isArray(input.assignees)) {
+        return res.status(400).json({ msg: 'assignees must be an array' });
+      }
+      input.assignees = input.assignees.map((id) => String(id));
+    }
+    if (action === 'label') {
+      input.labels = normalizeLabelIds(input.labels);
+      if (!input.labels) {
+        return res.status(400).json({ msg: 'labels are required' });
+      }
+    }
+
+    const validIds = ids.filter((id) => mongoose.isValidObjectId(id));
+    const tasks = await Task.find({ _id: { $in: validIds } }).select('assignedTo labels archived');
+
+    const results = [];
+    for (const id of ids) {
+      const task = tasks.find((t) => t._id.toString() === id);
+      if (!task) {
+        results.push({ id, success: false, status: 404, msg: 'Task not found' });
+        continue;
+      }
+
+      let outcome;
+      if (action === 'archive') {
+        outcome = await runTaskHandler(deleteTask, req, id);
+      } else if (action === 'delete') {
+        outcome = task.archived ? { status: 200 } : await runTaskHandler(deleteTask, req, id);
+        if (outcome.status === 200) {
+          outcome = await runTaskHandler(permanentlyDeleteTask, req, id);
+        }
+      } else {
+        outcome = await runTaskHandler(updateTask, req, id, updateBodyFor(action, task, input));
+      }
+
+      const { status, body } = outcome;
+      if (status === 200) {
+        const result = { id, success: true, status };
+        if (body?._id) result.task = body;
+        if (body?.warning) result.warning = body.warning;
+        if (body?.wipExceeded) result.wipExceeded = body.wipExceeded;
+        results.push(result);
+      } else {
+        results.push({
+          id,
+          success: false,
+          status,
+          msg: body?.msg || body,
+          ...(body?.blockers && { blockers: body.blockers }),
+          ...(body?.wip && { wip: body.wip }),
+        });
+      }
+    }
+
+    const succeeded = results.filter((r) => r.success).length;
+    res.json({
+      action,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
@@ -0,0 +1,128 @@
+import Task from '../models/task.model.js';
+import { getBoardContext, canAccessWorkspace } from '../utils/access.utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range a series can cover
+const MAX_DAYS = 366;
+
+/**
+ * Start of the UTC day of a date
+ */
+const startOfDay = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Whether a task was in a done column at a point in time, from its status history
+ */
+const wasDoneAt = (task, time) => {
+  let done = false;
+  for (const change of task.statusHistory) {
+    if (change.at > time) break;
+    done = change.done;
+  }
+  return done;
+};
+
+/**
+ * A task counts towards a board from its creation until it is archived
+ */
+const wasInScopeAt = (task, time) =>
+  task.createdAt <= time && !(task.archived && task.archivedAt && task.archivedAt <= time);
+
+/**
+ * Get burndown/burnup data of a board, one point per day (only workspace members)
+ * Query:
+ * - from, to: date range (default the last 14 days up to today)
+ * - metric: "estimate" (default, sum of estimates) or "count" (number of tasks)
+ * Each point is taken at the end of the (UTC) day, or now for today.
+ * Days still to come have null values, with only the ideal line.
+ */
+export const getBurndown = async (req, res) => {
+  try {
+    const { board, workspace } = await getBoardContext(req.params.boardId);
+
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const metric = req.query.metric || 'estimate';
+    if (!['estimate', 'count'].includes(metric)) {
+      return res.status(400).json({ msg: 'metric must be "estimate" or "count"' });
+    }
+
+    const now = new Date();
+    const to = startOfDay(req.query.to ? new Date(req.query.to) : now);
+    const from = startOfDay(req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 13 * DAY_MS));
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({ msg: 'Invalid date' });
+    }
+    if (from > to) {
+      return res.status(400).json({ msg: 'from must not be after to' });
+    }
+
+    const days = Math.round((to - from) / DAY_MS) + 1;
+    if (days > MAX_DAYS) {
+      return res.status(400).json({ msg: `Date range can cover at most ${MAX_DAYS} days` });
+    }
+
+    const tasks = await Task.find({
+      board: board._id,
+      createdAt: { $lt: new Date(to.getTime() + DAY_MS) },
+    }).select('estimate createdAt archived archivedAt statusHistory');
+
+    const weight = (task) => (metric === 'count' ? 1 : task.estimate || 0);
+
+    const series = [];
+    for (let day = 0; day < days; day++) {
+      const dayStart = new Date(from.getTime() + day * DAY_MS);
+      const dayEnd = new Date(Math.min(dayStart.getTime() + DAY_MS - 1, now.getTime()));
+
+      if (dayStart > now) {
+        series.push({ date: dayStart.toISOString().slice(0, 10), total: null, completed: null, remaining: null });
+        continue;
+      }
+
+      let total = 0;
+      let completed = 0;
+      for (const task of tasks) {
+        if (!wasInScopeAt(task, dayEnd)) continue;
+        total += weight(task);
+        if (wasDoneAt(task, dayEnd)) completed += weight(task);
+      }
+
+      series.push({
+        date: dayStart.toISOString().slice(0, 10),
+        total,
+        completed,
+        remaining: total - completed,
+      });
+    }
+
+    // Straight line from the first day's remaining work down to zero
+    const start = series[0].remaining || 0;
+    series.forEach((point, index) => {
+      const ideal = days > 1 ? start - (start * index) / (days - 1) : 0;
+      point.ideal = Math.round(ideal * 100) / 100;
+    });
+
+    res.json({
+      from: series[0].date,
+      to: series[series.length - 1].date,
+      metric,
+      unit: metric === 'count' ? 'tasks' : board.estimateUnit,
+      series,
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
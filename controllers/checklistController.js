@@ -0,0 +1,280 @@
+import Task from '../models/task.model.js';
+import {
+  getTaskContext,
+  canAccessWorkspace,
+  canEditTask,
+} from '../utils/access.utils.js';
+
+/**
+ * Load the task for a checklist request and check that the user may edit it.
+ * Sends the error response and returns null when the request cannot continue.
+ */
+const loadEditableTask = async (req, res, { allowItemAssignee = false } = {}) => {
+  const { task, board, workspace } = await getTaskContext(req.params.id);
+
+  if (!task) {
+    res.status(404).json({ msg: 'Task not found' });
+    return null;
+  }
+  if (!board) {
+    res.status(404).json({ msg: 'Board not found' });
+    return null;
+  }
+  if (!workspace) {
+    res.status(404).json({ msg: 'Workspace not found' });
+    return null;
+  }
+
+  if (!canAccessWorkspace(workspace, req.user)) {
+    res.status(403).json({ msg: 'Access denied' });
+    return null;
+  }
+
+  // The assignee of an item may tick it off without being able to edit the task
+  const item = allowItemAssignee
+    ? task.checklists.id(req.params.checklistId)?.items.id(req.params.itemId)
+    : null;
+  const isItemAssignee = item?.assignee?.toString() === req.user.id;
+
+  if (!canEditTask(task, workspace, req.user) && !isItemAssignee) {
+    res.status(403).json({ msg: 'Not authorized' });
+    return null;
+  }
+
+  return { task, workspace };
+};
+
+/**
+ * Validate a checklist item assignee is a workspace member
+ */
+const isValidAssignee = (assignee, workspace) =>
+  !assignee ||
+  workspace.members.some((m) => m.user.toString() === assignee.toString());
+
+/**
+ * Save the task and return it the way task endpoints do
+ */
+const saveAndRespond = async (task, res) => {
+  await task.save();
+
+  const populated = await Task.findById(task._id)
+    .populate('assignedTo', 'name email')
+    .populate('createdBy', 'name email')
+    .populate('checklists.items.assignee', 'name email');
+
+  res.json(populated);
+};
+
+/**
+ * Add a checklist to a task
+ */
+export const createChecklist = async (req, res) => {
+  try {
+    const { title } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ msg: 'Checklist title is required' });
+    }
+
+    const context = await loadEditableTask(req, res);
+    if (!context) return;
+
+    context.task.checklists.push({ title, items: [] });
+    await saveAndRespond(context.task, res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Rename a checklist
+ */
+export const updateChecklist = async (req, res) => {
+  try {
+    const { title } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ msg: 'Checklist title is required' });
+    }
+
+    const context = await loadEditableTask(req, res);
+    if (!context) return;
+
+    const checklist = context.task.checklists.id(req.params.checklistId);
+    if (!checklist) {
+      return res.status(404).json({ msg: 'Checklist not found' });
+    }
+
+    checklist.title = title;
+    await saveAndRespond(context.task, res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Delete a checklist with its items
+ */
+export const deleteChecklist = async (req, res) => {
+  try {
+    const context = await loadEditableTask(req, res);
+    if (!context) return;
+
+    const checklist = context.task.checklists.id(req.params.checklistId);
+    if (!checklist) {
+      return res.status(404).json({ msg: 'Checklist not found' });
+    }
+
+    checklist.deleteOne();
+    await saveAndRespond(context.task, res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Add an item to the end of a checklist
+ * Body: { text, assignee } - assignee must be a workspace member
+ */
+export const createChecklistItem = async (req, res) => {
+  try {
+    const { text, assignee } = req.body;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ msg: 'Item text is required' });
+    }
+
+    const context = await loadEditableTask(req, res);
+    if (!context) return;
+
+    const checklist = context.task.checklists.id(req.params.checklistId);
+    if (!checklist) {
+      return res.status(404).json({ msg: 'Checklist not found' });
+    }
+
+    if (!isValidAssignee(assignee, context.workspace)) {
+      return res.status(400).json({
+        msg: 'Checklist item assignee must be a workspace member'
+      });
+    }
+
+    checklist.items.push({ text, assignee: assignee || null });
+    await saveAndRespond(context.task, res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Update a checklist item (text, done, assignee)
+ * The item's assignee may change `done` only
+ */
+export const updateChecklistItem = async (req, res) => {
+  try {
+    const { text, done, assignee } = req.body;
+
+    const isOnlyDoneChange =
+      done !== undefined && text === undefined && assignee === undefined;
+
+    const context = await loadEditableTask(req, res, { allowItemAssignee: isOnlyDoneChange });
+    if (!context) return;
+
+    const checklist = context.task.checklists.id(req.params.checklistId);
+    const item = checklist?.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ msg: 'Checklist item not found' });
+    }
+
+    if (text !== undefined) {
+      if (!text || !text.trim()) {
+        return res.status(400).json({ msg: 'Item text is required' });
+      }
+      item.text = text;
+    }
+
+    if (assignee !== undefined) {
+      if (!isValidAssignee(assignee, context.workspace)) {
+        return res.status(400).json({
+          msg: 'Checklist item assignee must be a workspace member'
+        });
+      }
+      item.assignee = assignee || null;
+    }
+
+    if (done !== undefined && Boolean(done) !== item.done) {
+      item.done = Boolean(done);
+      item.completedAt = item.done ? new Date() : null;
+    }
+
+    await saveAndRespond(context.task, res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Reorder the items of a checklist
+ * Body: { itemIds: [...] } - every item of the checklist in the new order
+ */
+export const reorderChecklistItems = async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+
+    if (!Array.isArray(itemIds)) {
+      return res.status(400).json({ msg: 'itemIds must be an array' });
+    }
+
+    const context = await loadEditableTask(req, res);
+    if (!context) return;
+
+    const checklist = context.task.checklists.id(req.params.checklistId);
+    if (!checklist) {
+      return res.status(404).json({ msg: 'Checklist not found' });
+    }
+
+    const requestedIds = itemIds.map((id) => id.toString());
+    const isSameSet =
+      requestedIds.length === checklist.items.length &&
+      new Set(requestedIds).size === requestedIds.length &&
+      requestedIds.every((id) => checklist.items.id(id));
+
+    if (!isSameSet) {
+      return res.status(400).json({
+        msg: 'itemIds must contain every item of the checklist exactly once',
+      });
+    }
+
+    checklist.items = requestedIds.map((id) => checklist.items.id(id).toObject());
+    await saveAndRespond(context.task, res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Delete a checklist item
+ */
+export const deleteChecklistItem = async (req, res) => {
+  try {
+    const context = await loadEditableTask(req, res);
+    if (!context) return;
+
+    const checklist = context.task.checklists.id(req.params.checklistId);
+    const item = checklist?.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ msg: 'Checklist item not found' });
+    }
+
+    item.deleteOne();
+    await saveAndRespond(context.task, res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
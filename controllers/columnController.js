@@ -0,0 +1,296 @@
+import Column from '../models/column.model.js';
+import Task from '../models/task.model.js';
+import {
+  getBoardContext,
+  canAccessWorkspace,
+  canManageBoard,
+} from '../utils/access.utils.js';
+import {
+  getBoardColumns,
+  uniqueColumnKey,
+  statusHistoryEntry,
+  countColumnTasks,
+  withTaskCounts,
+} from '../utils/column.utils.js';
+import { rankAtEnd, RANK_STEP } from '../utils/rank.utils.js';
+
+/**
+ * Parse an optional WIP limit from the request body.
+ * Returns undefined when not provided, null to clear, or false when invalid.
+ */
+const parseWipLimit = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || value === 'null') return null;
+
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 1 ? limit : false;
+};
+
+/**
+ * Get columns of a board with their task counts against their WIP limits
+ * (only workspace members can view)
+ */
+export const getColumns = async (req, res) => {
+  try {
+    const { board, workspace } = await getBoardContext(req.params.boardId);
+
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const columns = await getBoardColumns(board._id);
+    res.json(withTaskCounts(columns, await countColumnTasks([board._id])));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Create column (board owner, workspace admin, or app admin)
+ */
+export const createColumn = async (req, res) => {
+  try {
+    const { name, isDone } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ msg: 'Column name is required' });
+    }
+
+    const wipLimit = parseWipLimit(req.body.wipLimit);
+    if (wipLimit === false) {
+      return res.status(400).json({ msg: 'WIP limit must be a positive whole number' });
+    }
+
+    const { board, workspace } = await getBoardContext(req.params.boardId);
+
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+    if (!canManageBoard(board, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const columns = await getBoardColumns(board._id);
+    const lastOrder = columns.length > 0 ? columns[columns.length - 1].order : -1;
+
+    const column = await Column.create({
+      board: board._id,
+      name,
+      key: uniqueColumnKey(name, columns),
+      order: lastOrder + 1,
+      isDone: Boolean(isDone),
+      wipLimit: wipLimit ?? null,
+    });
+
+    res.json(column);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Rename column or change its done flag or WIP limit (board owner, workspace
+ * admin, or app admin). A lower limit does not move tasks already in the column.
+ */
+export const updateColumn = async (req, res) => {
+  try {
+    const { name, isDone } = req.body;
+
+    const wipLimit = parseWipLimit(req.body.wipLimit);
+    if (wipLimit === false) {
+      return res.status(400).json({ msg: 'WIP limit must be a positive whole number' });
+    }
+
+    const { board, workspace } = await getBoardContext(req.params.boardId);
+
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+    if (!canManageBoard(board, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const column = await Column.findOne({ _id: req.params.columnId, board: board._id });
+    if (!column) {
+      return res.status(404).json({ msg: 'Column not found' });
+    }
+
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ msg: 'Column name is required' });
+      }
+      // Key stays the same so tasks keep pointing at this column
+      column.name = name;
+    }
+    if (isDone !== undefined) column.isDone = Boolean(isDone);
+    if (wipLimit !== undefined) column.wipLimit = wipLimit;
+
+    await column.save();
+    res.json(column);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Reorder columns (board owner, workspace admin, or app admin)
+ * Body: { columnIds: [...] } - every column of the board in the new order
+ */
+export const reorderColumns = async (req, res) => {
+  try {
+    const { columnIds } = req.body;
+
+    if (!Array.isArray(columnIds)) {
+      return res.status(400).json({ msg: 'columnIds must be an array' });
+    }
+
+    const { board, workspace } = await getBoardContext(req.params.boardId);
+
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+    if (!canManageBoard(board, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const columns = await getBoardColumns(board._id);
+    const boardColumnIds = columns.map((c) => c._id.toString());
+    const requestedIds = columnIds.map((id) => id.toString());
+
+    const isSameSet =
+      requestedIds.length === boardColumnIds.length &&
+      new Set(requestedIds).size === requestedIds.length &&
+      requestedIds.every((id) => boardColumnIds.includes(id));
+
+    if (!isSameSet) {
+      return res.status(400).json({
+        msg: 'columnIds must contain every column of the board exactly once',
+      });
+    }
+
+    await Column.bulkWrite(
+      requestedIds.map((id, index) => ({
+        updateOne: {
+          filter: { _id: id, board: board._id },
+          update: { $set: { order: index } },
+        },
+      }))
+    );
+
+    res.json(await getBoardColumns(board._id));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Delete column (board owner, workspace admin, or app admin)
+ * Tasks in the column are moved to `moveTo` (body or query), which is
+ * required when the column still has tasks.
+ */
+export const deleteColumn = async (req, res) => {
+  try {
+    const moveTo = req.body?.moveTo || req.query.moveTo;
+
+    const { board, workspace } = await getBoardContext(req.params.boardId);
+
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+    if (!canManageBoard(board, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const columns = await getBoardColumns(board._id);
+    const column = columns.find((c) => c._id.toString() === req.params.columnId);
+    if (!column) {
+      return res.status(404).json({ msg: 'Column not found' });
+    }
+
+    if (columns.length === 1) {
+      return res.status(400).json({ msg: 'Cannot delete the last column of a board' });
+    }
+
+    const taskCount = await Task.countDocuments({ board: board._id, column: column._id });
+
+    if (taskCount > 0) {
+      if (!moveTo) {
+        return res.status(400).json({
+          msg: 'Column has tasks; provide moveTo with the column to move them to',
+        });
+      }
+
+      const target = columns.find((c) => c._id.toString() === moveTo.toString());
+      if (!target || target._id.equals(column._id)) {
+        return res.status(400).json({ msg: 'Invalid moveTo column' });
+      }
+
+      // Append the tasks to the end of the target column, keeping their order
+      const startRank = await rankAtEnd(board._id, target._id);
+      const tasks = await Task.find({ board: board._id, column: column._id })
+        .sort({ order: 1, createdAt: 1 })
+        .select('_id');
+
+      await Task.bulkWrite(
+        tasks.map((task, index) => ({
+          updateOne: {
+            filter: { _id: task._id },
+            update: {
+              $set: {
+                column: target._id,
+                status: target.key,
+                order: startRank + index * RANK_STEP,
+              },
+              $push: { statusHistory: statusHistoryEntry(target) },
+            },
+          },
+        }))
+      );
+    }
+
+    await Column.findByIdAndDelete(column._id);
+    res.json({ msg: 'Column removed', movedTasks: taskCount });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
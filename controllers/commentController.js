@@ -0,0 +1,225 @@
+import mongoose from 'mongoose';
+import Comment from '../models/comment.model.js';
+import {
+  getTaskContext,
+  canAccessWorkspace,
+  isWorkspaceAdmin,
+} from '../utils/access.utils.js';
+import { resolveMentions, notifyMentions } from '../utils/mention.utils.js';
+
+/**
+ * Get comments of a task as threads (only workspace members can view)
+ */
+export const getComments = async (req, res) => {
+  try {
+    const { task, board, workspace } = await getTaskContext(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const comments = await Comment.find({ task: task._id })
+      .populate('author', 'name email')
+      .sort({ createdAt: 1 });
+
+    // Group replies under their top-level comment
+    const threads = comments
+      .filter((c) => !c.parent)
+      .map((c) => ({ ...c.toObject(), replies: [] }));
+
+    const threadsById = new Map(threads.map((t) => [t._id.toString(), t]));
+    comments
+      .filter((c) => c.parent)
+      .forEach((reply) => {
+        const thread = threadsById.get(reply.parent.toString());
+        if (thread) thread.replies.push(reply.toObject());
+      });
+
+    res.json(threads);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Add a comment or a reply to a task (only workspace members)
+ * Body: { body, parent } - parent is the top-level comment being replied to
+ */
+export const createComment = async (req, res) => {
+  try {
+    const { body, parent } = req.body;
+
+    if (!body || !body.trim()) {
+      return res.status(400).json({ msg: 'Comment body is required' });
+    }
+
+    const { task, board, workspace } = await getTaskContext(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'You must be a workspace member to comment' });
+    }
+
+    if (parent) {
+      const parentComment = mongoose.isValidObjectId(parent)
+        ? await Comment.findOne({ _id: parent, task: task._id })
+        : null;
+
+      if (!parentComment) {
+        return res.status(404).json({ msg: 'Parent comment not found' });
+      }
+
+      // Replies nest one level deep
+      if (parentComment.parent) {
+        return res.status(400).json({ msg: 'Cannot reply to a reply' });
+      }
+    }
+
+    const mentions = await resolveMentions(body, workspace);
+
+    const comment = await Comment.create({
+      task: task._id,
+      author: req.user.id,
+      body,
+      mentions,
+      parent: parent || null,
+    });
+    await comment.populate('author', 'name email');
+
+    await notifyMentions({ mentions, actorId: req.user.id, task, boardTitle: board.title, text: body });
+
+    res.json(comment);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Edit a comment (only its author)
+ */
+export const updateComment = async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    if (!body || !body.trim()) {
+      return res.status(400).json({ msg: 'Comment body is required' });
+    }
+
+    const { task, board, workspace } = await getTaskContext(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, task: task._id });
+    if (!comment) {
+      return res.status(404).json({ msg: 'Comment not found' });
+    }
+
+    if (comment.author.toString() !== req.user.id) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const mentions = await resolveMentions(body, workspace);
+
+    // Only people mentioned by this edit are notified
+    const previousMentions = comment.mentions.toObject();
+
+    comment.body = body;
+    comment.mentions = mentions;
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate('author', 'name email');
+
+    await notifyMentions({
+      mentions,
+      previous: previousMentions,
+      actorId: req.user.id,
+      task,
+      boardTitle: board.title,
+      text: body,
+    });
+
+    res.json(comment);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Delete a comment and its replies (author, workspace admin, or app admin)
+ */
+export const deleteComment = async (req, res) => {
+  try {
+    const { task, board, workspace } = await getTaskContext(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, task: task._id });
+    if (!comment) {
+      return res.status(404).json({ msg: 'Comment not found' });
+    }
+
+    // Workspace admins can moderate other members' comments
+    const isAuthorized =
+      comment.author.toString() === req.user.id ||
+      isWorkspaceAdmin(workspace, req.user) ||
+      req.user.role === 'admin';
+
+    if (!isAuthorized) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    await Comment.deleteMany({ parent: comment._id });
+    await Comment.findByIdAndDelete(comment._id);
+
+    res.json({ msg: 'Comment removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
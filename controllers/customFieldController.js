@@ -0,0 +1,187 @@
+import Board from '../models/board.model.js';
+import Task from '../models/task.model.js';
+import {
+  getBoardContext,
+  canAccessWorkspace,
+  canManageBoard,
+} from '../utils/access.utils.js';
+import { CUSTOM_FIELD_TYPES, normalizeFieldOptions } from '../utils/customField.utils.js';
+
+/**
+ * Load a board for managing its custom fields (board owner, workspace admin,
+ * or app admin). Sends the error response and returns null when not allowed.
+ */
+const loadManageableBoard = async (req, res) => {
+  const { board, workspace } = await getBoardContext(req.params.boardId);
+
+  if (!board) {
+    res.status(404).json({ msg: 'Board not found' });
+    return null;
+  }
+  if (!workspace) {
+    res.status(404).json({ msg: 'Workspace not found' });
+    return null;
+  }
+
+  if (!canAccessWorkspace(workspace, req.user)) {
+    res.status(403).json({ msg: 'Access denied' });
+    return null;
+  }
+  if (!canManageBoard(board, workspace, req.user)) {
+    res.status(403).json({ msg: 'Not authorized' });
+    return null;
+  }
+
+  return board;
+};
+
+/**
+ * Get the custom field definitions of a board (only workspace members can view)
+ */
+export const getCustomFields = async (req, res) => {
+  try {
+    const { board, workspace } = await getBoardContext(req.params.boardId);
+
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    res.json(board.customFields);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Create custom field (board owner, workspace admin, or app admin)
+ * Body: { name, type, options } - options are required for select fields
+ */
+export const createCustomField = async (req, res) => {
+  try {
+    const { name, type } = req.body;
+    const options = normalizeFieldOptions(req.body.options);
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ msg: 'Field name is required' });
+    }
+    if (!CUSTOM_FIELD_TYPES.includes(type)) {
+      return res.status(400).json({ msg: `type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}` });
+    }
+    if (type === 'select' && options.length === 0) {
+      return res.status(400).json({ msg: 'Select fields need at least one option' });
+    }
+
+    const board = await loadManageableBoard(req, res);
+    if (!board) return;
+
+    const taken = board.customFields.some(
+      (f) => f.name.toLowerCase() === name.trim().toLowerCase()
+    );
+    if (taken) {
+      return res.status(400).json({ msg: 'A field with this name already exists' });
+    }
+
+    board.customFields.push({ name, type, options: type === 'select' ? options : [] });
+    await board.save();
+
+    res.json(board.customFields[board.customFields.length - 1]);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Update custom field name or select options (board owner, workspace admin,
+ * or app admin). The type cannot change. Tasks lose values of removed options.
+ */
+export const updateCustomField = async (req, res) => {
+  try {
+    const { name, type } = req.body;
+
+    if (name !== undefined && (!name || !name.trim())) {
+      return res.status(400).json({ msg: 'Field name is required' });
+    }
+
+    const board = await loadManageableBoard(req, res);
+    if (!board) return;
+
+    const field = board.customFields.id(req.params.fieldId);
+    if (!field) {
+      return res.status(404).json({ msg: 'Field not found' });
+    }
+
+    if (type !== undefined && type !== field.type) {
+      return res.status(400).json({ msg: 'Field type cannot be changed' });
+    }
+
+    if (name !== undefined) {
+      const taken = board.customFields.some(
+        (f) => !f._id.equals(field._id) && f.name.toLowerCase() === name.trim().toLowerCase()
+      );
+      if (taken) {
+        return res.status(400).json({ msg: 'A field with this name already exists' });
+      }
+      field.name = name;
+    }
+
+    let removedOptions = [];
+    if (req.body.options !== undefined && field.type === 'select') {
+      const options = normalizeFieldOptions(req.body.options);
+      if (options.length === 0) {
+        return res.status(400).json({ msg: 'Select fields need at least one option' });
+      }
+      removedOptions = field.options.filter((option) => !options.includes(option));
+      field.options = options;
+    }
+
+    await board.save();
+
+    if (removedOptions.length > 0) {
+      await Task.updateMany(
+        { board: board._id, 'customFields.field': field._id },
+        { $pull: { customFields: { field: field._id, value: { $in: removedOptions } } } }
+      );
+    }
+
+    res.json(field);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Delete custom field and its values on every task of the board
+ * (board owner, workspace admin, or app admin)
+ */
+export const deleteCustomField = async (req, res) => {
+  try {
+    const board = await loadManageableBoard(req, res);
+    if (!board) return;
+
+    const field = board.customFields.id(req.params.fieldId);
+    if (!field) {
+      return res.status(404).json({ msg: 'Field not found' });
+    }
+
+    await Task.updateMany(
+      { board: board._id, 'customFields.field': field._id },
+      { $pull: { customFields: { field: field._id } } }
+    );
+    await Board.updateOne({ _id: board._id }, { $pull: { customFields: { _id: field._id } } });
+
+    res.json({ msg: 'Field removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import {
+  getTaskContext,
+  canAccessWorkspace,
+  canEditTask,
+} from '../utils/access.utils.js';
+import { diffTask, recordActivity } from '../utils/activity.utils.js';
+import { withTaskDependencies, wouldCreateCycle } from '../utils/dependency.utils.js';
+
+/**
+ * Get what a task is blocked by and what it blocks (only workspace members)
+ */
+export const getDependencies = async (req, res) => {
+  try {
+    const { task, board, workspace } = await getTaskContext(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const { blockedBy, blocks, isBlocked } = await withTaskDependencies(task);
+    res.json({ blockedBy, blocks, isBlocked });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Mark a task as blocked by another task in the same workspace
+ * (task creator, assigned user, workspace admin, or app admin)
+ * Body: { blockedBy } - id of the blocking task
+ */
+export const addDependency = async (req, res) => {
+  try {
+    const { blockedBy } = req.body;
+
+    if (!blockedBy || !mongoose.isValidObjectId(blockedBy)) {
+      return res.status(400).json({ msg: 'blockedBy must be a task id' });
+    }
+
+    let { task, board, workspace } = await getTaskContext(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+    if (!canEditTask(task, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    if (task._id.equals(blockedBy)) {
+      return res.status(400).json({ msg: 'A task cannot block itself' });
+    }
+
+    const blocker = await getTaskContext(blockedBy);
+    if (!blocker.task || blocker.task.archived) {
+      return res.status(404).json({ msg: 'Blocking task not found' });
+    }
+    if (!blocker.workspace || !blocker.workspace._id.equals(workspace._id)) {
+      return res.status(400).json({ msg: 'Blocking task must be in the same workspace' });
+    }
+
+    if (task.blockedBy.some((id) => id.equals(blockedBy))) {
+      return res.status(400).json({ msg: 'Task is already blocked by this task' });
+    }
+
+    if (await wouldCreateCycle(task._id, blockedBy)) {
+      return res.status(400).json({ msg: 'Dependency would create a cycle' });
+    }
+
+    const changes = diffTask(task, { blockedBy: [...task.blockedBy, blocker.task._id] });
+
+    task = await Task.findByIdAndUpdate(
+      task._id,
+      { $addToSet: { blockedBy: blocker.task._id } },
+      { new: true }
+    )
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email');
+
+    await recordActivity({ task, actor: req.user.id, action: 'updated', changes });
+
+    res.json(await withTaskDependencies(task));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Remove a blocking task from a task
+ * (task creator, assigned user, workspace admin, or app admin)
+ */
+export const removeDependency = async (req, res) => {
+  try {
+    let { task, board, workspace } = await getTaskContext(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+    if (!canEditTask(task, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const remaining = task.blockedBy.filter((id) => id.toString() !== req.params.blockerId);
+    if (remaining.length === task.blockedBy.length) {
+      return res.status(404).json({ msg: 'Dependency not found' });
+    }
+
+    const changes = diffTask(task, { blockedBy: remaining });
+
+    task = await Task.findByIdAndUpdate(
+      task._id,
+      { $pull: { blockedBy: req.params.blockerId } },
+      { new: true }
+    )
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email');
+
+    await recordActivity({ task, actor: req.user.id, action: 'updated', changes });
+
+    res.json(await withTaskDependencies(task));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
@@ -0,0 +1,153 @@
+import Board from '../models/board.model.js';
+import Task from '../models/task.model.js';
+import {
+  getBoardContext,
+  canAccessWorkspace,
+  canManageBoard,
+} from '../utils/access.utils.js';
+import { isValidLabelColor } from '../utils/label.utils.js';
+
+/**
+ * Get the label set of a board (only workspace members can view)
+ */
+export const getLabels = async (req, res) => {
+  try {
+    const { board, workspace } = await getBoardContext(req.params.boardId);
+
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    res.json(board.labels);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Create label (board owner, workspace admin, or app admin)
+ */
+export const createLabel = async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    if (!isValidLabelColor(color)) {
+      return res.status(400).json({ msg: 'Invalid label color' });
+    }
+
+    const { board, workspace } = await getBoardContext(req.params.boardId);
+
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+    if (!canManageBoard(board, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    board.labels.push({ name: name || '', color });
+    await board.save();
+
+    res.json(board.labels[board.labels.length - 1]);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Update label name or color (board owner, workspace admin, or app admin)
+ */
+export const updateLabel = async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    if (color !== undefined && !isValidLabelColor(color)) {
+      return res.status(400).json({ msg: 'Invalid label color' });
+    }
+
+    const { board, workspace } = await getBoardContext(req.params.boardId);
+
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+    if (!canManageBoard(board, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const label = board.labels.id(req.params.labelId);
+    if (!label) {
+      return res.status(404).json({ msg: 'Label not found' });
+    }
+
+    if (name !== undefined) label.name = name || '';
+    if (color !== undefined) label.color = color;
+
+    await board.save();
+    res.json(label);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Delete label and remove it from every task on the board
+ * (board owner, workspace admin, or app admin)
+ */
+export const deleteLabel = async (req, res) => {
+  try {
+    const { board, workspace } = await getBoardContext(req.params.boardId);
+
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+    if (!canManageBoard(board, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const label = board.labels.id(req.params.labelId);
+    if (!label) {
+      return res.status(404).json({ msg: 'Label not found' });
+    }
+
+    await Task.updateMany(
+      { board: board._id, labels: label._id },
+      { $pull: { labels: label._id } }
+    );
+    await Board.updateOne({ _id: board._id }, { $pull: { labels: { _id: label._id } } });
+
+    res.json({ msg: 'Label removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
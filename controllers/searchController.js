@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Board from '../models/board.model.js';
+import Workspace from '../models/workspace.model.js';
+import { getSearchTerms, buildSnippet } from '../utils/search.utils.js';
+
+/**
+ * Search tasks (title, description) and boards (title) in the workspaces
+ * the user is a member of
+ * Query:
+ * - q: search text (required)
+ * - workspace, board, assignee, status: narrow the results
+ * - limit: results per type (default 20, max 50)
+ */
+export const search = async (req, res) => {
+  try {
+    const { workspace, board, assignee, status } = req.query;
+
+    // Repeated query keys arrive as arrays
+    if ([req.query.q, status].some((value) => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({ msg: 'Invalid search query' });
+    }
+    const q = (req.query.q || '').trim();
+
+    if (!q) {
+      return res.status(400).json({ msg: 'Search query is required' });
+    }
+
+    for (const id of [workspace, board, assignee]) {
+      if (id && !mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ msg: 'Invalid filter id' });
+      }
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+
+    // Same scope as getWorkspaces: workspaces where user is a member
+    const workspaces = await Workspace.find({ 'members.user': req.user.id }).select('_id name');
+    let workspaceIds = workspaces.map((w) => w._id);
+
+    if (workspace) {
+      if (!workspaceIds.some((id) => id.toString() === workspace)) {
+        return res.status(403).json({ msg: 'Access denied' });
+      }
+      workspaceIds = [new mongoose.Types.ObjectId(workspace)];
+    }
+
+    const boardFilter = { workspace: { $in: workspaceIds } };
+    if (board) boardFilter._id = board;
+
+    const scopedBoards = await Board.find(boardFilter).select('_id title workspace');
+    const boardsById = new Map(scopedBoards.map((b) => [b._id.toString(), b]));
+
+    const taskFilter = {
+      $text: { $search: q },
+      board: { $in: scopedBoards.map((b) => b._id) },
+      archived: { $ne: true },
+    };
+    if (assignee) taskFilter.assignedTo = assignee;
+    if (status) taskFilter.status = status;
+
+    const textScore = { score: { $meta: 'textScore' } };
+
+    const tasks = await Task.find(taskFilter, textScore)
+      .select('title description status column board assignedTo dueDate')
+      .populate('assignedTo', 'name email')
+      .sort(textScore)
+      .limit(limit);
+
+    // Task-only filters leave board results out
+    const searchBoards = !assignee && !status;
+    const boards = searchBoards
+      ? await Board.find({ ...boardFilter, $text: { $search: q } }, textScore)
+        .select('title workspace')
+        .populate('workspace', 'name')
+        .sort(textScore)
+        .limit(limit)
+      : [];
+
+    const terms = getSearchTerms(q);
+    const workspacesById = new Map(workspaces.map((w) => [w._id.toString(), w]));
+
+    res.json({
+      tasks: tasks.map((task) => {
+        const taskBoard = boardsById.get(task.board.toString());
+        const taskWorkspace = workspacesById.get(taskBoard.workspace.toString());
+
+        return {
+          _id: task._id,
+          title: task.title,
+          status: task.status,
+          column: task.column,
+          dueDate: task.dueDate,
+          assignedTo: task.assignedTo,
+          board: { _id: taskBoard._id, title: taskBoard.title },
+          workspace: { _id: taskWorkspace._id, name: taskWorkspace.name },
+          score: task.get('score'),
+          highlights: {
+            title: buildSnippet(task.title, terms),
+            description: buildSnippet(task.description, terms),
+          },
+        };
+      }),
+      boards: boards.map((b) => ({
+        _id: b._id,
+        title: b.title,
+        workspace: b.workspace,
+        score: b.get('score'),
+        highlights: {
+          title: buildSnippet(b.title, terms),
+        },
+      })),
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
@@ -1,10 +1,133 @@
+import mongoose from 'mongoose';
 import Task from '../models/task.model.js';
 import Board from '../models/board.model.js';
 import Workspace from '../models/workspace.model.js';
-import { deleteFromCloudinary } from '../config/cloudinary.js';
+import TaskTemplate from '../models/taskTemplate.model.js';
+import { getBoardColumns, resolveColumn, statusHistoryEntry } from '../utils/column.utils.js';
+import { rankAtEnd, rankForPosition } from '../utils/rank.utils.js';
+import {
+  getBoardContext,
+  getTaskContext,
+  canAccessWorkspace,
+  canDeleteTask,
+} from '../utils/access.utils.js';
+import { diffTask, recordActivity } from '../utils/activity.utils.js';
+import {
+  TASK_SORTS,
+  TASK_SORT_FIELDS,
+  encodeCursor,
+  decodeCursor,
+  afterCursorCondition,
+} from '../utils/taskQuery.utils.js';
+import {
+  normalizeLabelIds,
+  areBoardLabels,
+  copyLabelsToBoard,
+  findOrCreateBoardLabels,
+} from '../utils/label.utils.js';
+import { templateTaskFields } from '../utils/template.utils.js';
+import { descriptionFields } from '../utils/markdown.utils.js';
+import {
+  parseCustomFieldValues,
+  applyCustomFieldValues,
+  copyCustomFieldsToBoard,
+  customFieldCondition,
+} from '../utils/customField.utils.js';
+import {
+  getUploadedFiles,
+  storeUploadedFiles,
+  deleteAttachmentFiles,
+} from '../utils/attachment.utils.js';
+import { purgeTask } from '../utils/task.utils.js';
+import { parseRecurrence } from '../utils/recurrence.utils.js';
+import { defaultWatchers, queueTaskNotification } from '../utils/notification.utils.js';
+import { resolveMentions, notifyMentions } from '../utils/mention.utils.js';
+import {
+  PRIORITIES,
+  DEFAULT_PRIORITY,
+  priorityFields,
+  notifyUrgentAssignees,
+} from '../utils/priority.utils.js';
+import {
+  withDependencies,
+  withTaskDependencies,
+  getOpenBlockers,
+} from '../utils/dependency.utils.js';
 
 /**
- * Get all tasks for a board (only board members can view)
+ * Parse an optional date from the request body.
+ * Returns undefined when not provided, null to clear, or false when invalid.
+ */
+const parseDateInput = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || value === 'null') return null;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? false : date;
+};
+
+/**
+ * Parse an optional estimate (points or hours) from the request body.
+ * Returns undefined when not provided, null to clear, or false when invalid.
+ */
+const parseEstimate = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || value === 'null') return null;
+
+  const estimate = Number(value);
+  return Number.isFinite(estimate) && estimate >= 0 ? estimate : false;
+};
+
+/**
+ * Check a move into a done column against the task's open blockers.
+ * Returns null when nothing blocks the move, otherwise the open blockers and
+ * whether to reject the move, following the board's blockedCompletion setting.
+ */
+const checkBlockers = async (task, targetColumn, board) => {
+  if (!targetColumn.isDone || targetColumn._id.equals(task.column)) return null;
+
+  const blockers = await getOpenBlockers(task);
+  if (blockers.length === 0) return null;
+
+  return { reject: board.blockedCompletion !== 'warn', blockers };
+};
+
+/**
+ * Check a move into a column against the column's WIP limit.
+ * Returns null when the column has room (or no limit), otherwise the limit
+ * details and whether to reject the move, following the board's wipEnforcement setting.
+ * An archived task does not count towards its column, so restoring it is a move too.
+ */
+const checkWipLimit = async (task, targetColumn, board) => {
+  if (!targetColumn.wipLimit) return null;
+  if (!task.archived && targetColumn._id.equals(task.column)) return null;
+
+  const count = await Task.countDocuments({ column: targetColumn._id, archived: { $ne: true } });
+  if (count < targetColumn.wipLimit) return null;
+
+  return {
+    reject: board.wipEnforcement !== 'warn',
+    msg: `Column "${targetColumn.name}" is at its WIP limit of ${targetColumn.wipLimit}`,
+    wip: { column: targetColumn._id, limit: targetColumn.wipLimit, count },
+  };
+};
+
+/**
+ * Get tasks of a board (only board members can view)
+ * Optional query:
+ * - column: column ids, status: column keys (comma separated)
+ * - assignee, createdBy: user ids
+ * - labels: comma separated label ids; tasks with any of them
+ * - priority: comma separated priority levels
+ * - field.<fieldId>: value of a custom field (see customFieldCondition)
+ * - due: "overdue" (past due, not done) or "soon" (due within `dueWithin` hours, default 24)
+ * - createdFrom/createdTo, updatedFrom/updatedTo: date ranges
+ * - q: text in title or description
+ * - sort: order, priority (priority then rank), createdAt, updatedAt, dueDate or title;
+ *   direction: asc or desc. Defaults to the board's sortMode.
+ * - limit, cursor: page size and the `nextCursor` of the previous page
+ *   (without limit every matching task is returned)
+ * Responds with the tasks, a count per column and the total under the filters.
  */
 export const getTasksByBoard = async (req, res) => {
   try {
@@ -28,12 +151,177 @@ export const getTasksByBoard = async (req, res) => {
       return res.status(403).json({ msg: 'Access denied' });
     }
 
-    const tasks = await Task.find({ board: req.params.boardId })
+    const columns = await getBoardColumns(board._id);
+    const query = req.query;
+
+    // Filters shared by the task list and the per-column counts
+    const filter = { board: board._id, archived: { $ne: true } };
+    const conditions = [];
+
+    for (const field of ['assignee', 'createdBy']) {
+      if (query[field] && !mongoose.isValidObjectId(query[field])) {
+        return res.status(400).json({ msg: `Invalid ${field}` });
+      }
+    }
+    if (query.assignee) filter.assignedTo = new mongoose.Types.ObjectId(query.assignee);
+    if (query.createdBy) filter.createdBy = new mongoose.Types.ObjectId(query.createdBy);
+
+    const labelIds = normalizeLabelIds(query.labels);
+    if (labelIds && labelIds.length > 0) {
+      if (!areBoardLabels(labelIds, board)) {
+        return res.status(400).json({ msg: 'Invalid label' });
+      }
+      filter.labels = { $in: labelIds.map((id) => new mongoose.Types.ObjectId(id)) };
+    }
+
+    if (query.priority) {
+      const priorities = String(query.priority).split(',');
+      if (!priorities.every((p) => PRIORITIES.includes(p))) {
+        return res.status(400).json({ msg: `priority must be one of: ${PRIORITIES.join(', ')}` });
+      }
+      filter.priority = { $in: priorities };
+    }
+
+    for (const [param, value] of Object.entries(query)) {
+      if (!param.startsWith('field.')) continue;
+
+      const field = board.customFields.find((f) => f._id.toString() === param.slice(6));
+      if (!field) {
+        return res.status(400).json({ msg: 'Invalid custom field' });
+      }
+      const condition = customFieldCondition(field, value);
+      if (!condition) {
+        return res.status(400).json({ msg: `Invalid filter for custom field "${field.name}"` });
+      }
+      conditions.push(condition);
+    }
+
+    if (query.due) {
+      const now = new Date();
+      const doneColumnIds = columns.filter((c) => c.isDone).map((c) => c._id);
+
+      if (query.due === 'overdue') {
+        filter.dueDate = { $lt: now };
+      } else if (query.due === 'soon') {
+        const hours = Number(query.dueWithin) || 24;
+        filter.dueDate = { $gte: now, $lte: new Date(now.getTime() + hours * 60 * 60 * 1000) };
+      } else {
+        return res.status(400).json({ msg: 'due must be "overdue" or "soon"' });
+      }
+
+      // Completed tasks are never overdue or due soon
+      conditions.push({ column: { $nin: doneColumnIds } });
+    }
+
+    for (const [field, from, to] of [
+      ['createdAt', 'createdFrom', 'createdTo'],
+      ['updatedAt', 'updatedFrom', 'updatedTo'],
+    ]) {
+      const range = {};
+      for (const [operator, param] of [['$gte', from], ['$lte', to]]) {
+        const date = parseDateInput(query[param]);
+        if (date === false) {
+          return res.status(400).json({ msg: `Invalid ${param}` });
+        }
+        if (date) range[operator] = date;
+      }
+      if (Object.keys(range).length > 0) filter[field] = range;
+    }
+
+    if (query.q !== undefined && typeof query.q !== 'string') {
+      return res.status(400).json({ msg: 'Invalid search query' });
+    }
+    if (query.q && query.q.trim()) {
+      const pattern = new RegExp(query.q.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      conditions.push({ $or: [{ title: pattern }, { description: pattern }] });
+    }
+
+    if (conditions.length > 0) filter.$and = conditions;
+
+    // Column filter applies to the list, not to the per-column counts
+    let columnIds = null;
+    if (query.column || query.status) {
+      const ids = query.column ? String(query.column).split(',') : [];
+      const keys = query.status ? String(query.status).split(',') : [];
+
+      const selected = columns.filter(
+        (c) => ids.includes(c._id.toString()) || keys.includes(c.key)
+      );
+      if (selected.length !== ids.length + keys.length) {
+        return res.status(400).json({ msg: 'Invalid column' });
+      }
+      columnIds = selected.map((c) => c._id);
+    }
+
+    const sort = query.sort || (board.sortMode === 'priority' ? 'priority' : 'order');
+    if (!TASK_SORT_FIELDS.includes(sort)) {
+      return res.status(400).json({ msg: `sort must be one of: ${TASK_SORT_FIELDS.join(', ')}` });
+    }
+    const sortFields = TASK_SORTS[sort];
+    const direction = query.direction === 'desc' ? -1 : 1;
+
+    const limit = query.limit ? parseInt(query.limit, 10) : null;
+    if (limit !== null && !(limit > 0 && limit <= 200)) {
+      return res.status(400).json({ msg: 'limit must be between 1 and 200' });
+    }
+
+    const listFilter = { ...filter, $and: [...conditions] };
+    if (columnIds) listFilter.$and.push({ column: { $in: columnIds } });
+
+    if (query.cursor) {
+      const cursor = decodeCursor(query.cursor, sortFields);
+      if (!cursor) {
+        return res.status(400).json({ msg: 'Invalid cursor' });
+      }
+      listFilter.$and.push(
+        afterCursorCondition(sortFields, direction, cursor, (id) => new mongoose.Types.ObjectId(id))
+      );
+    }
+    if (listFilter.$and.length === 0) delete listFilter.$and;
+
+    let tasksQuery = Task.find(listFilter)
       .populate('assignedTo', 'name email')
       .populate('createdBy', 'name email')
-      .sort({ order: 1, createdAt: 1 });
+      .sort({
+        ...Object.fromEntries(sortFields.map((field) => [field, direction])),
+        _id: direction,
+      });
+    if (limit) tasksQuery = tasksQuery.limit(limit + 1);
 
-    res.json(tasks);
+    const [tasks, counts] = await Promise.all([
+      tasksQuery,
+      Task.aggregate([
+        { $match: filter },
+        { $group: { _id: '$column', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    // One extra task was fetched to know if there is another page
+    const hasMore = limit !== null && tasks.length > limit;
+    if (hasMore) tasks.pop();
+
+    const countByColumn = new Map(counts.map((c) => [String(c._id), c.count]));
+    const columnTotals = columns.map((c) => ({
+      _id: c._id,
+      name: c.name,
+      key: c.key,
+      order: c.order,
+      isDone: c.isDone,
+      count: countByColumn.get(c._id.toString()) || 0,
+    }));
+
+    const total = columnIds
+      ? columnTotals
+        .filter((c) => columnIds.some((id) => id.equals(c._id)))
+        .reduce((sum, c) => sum + c.count, 0)
+      : counts.reduce((sum, c) => sum + c.count, 0);
+
+    res.json({
+      tasks: await withDependencies(tasks),
+      columns: columnTotals,
+      total,
+      nextCursor: hasMore ? encodeCursor(tasks[tasks.length - 1], sortFields) : null,
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -42,17 +330,45 @@ export const getTasksByBoard = async (req, res) => {
 
 /**
  * Create task (only workspace members can create)
+ * With `template` (a template id of the board's workspace) the task starts
+ * from the template's title, description, labels, checklists and assignees.
  */
 export const createTask = async (req, res) => {
   try {
     // Handle both JSON and FormData
-    let { title, description, status, board, assignedTo } = req.body;
+    let { title, description, status, column, board, assignedTo } = req.body;
 
     // Ensure assignedTo is an array
     if (assignedTo && !Array.isArray(assignedTo)) {
       assignedTo = [assignedTo];
     }
 
+    let labels = normalizeLabelIds(req.body.labels);
+
+    const startDate = parseDateInput(req.body.startDate);
+    const dueDate = parseDateInput(req.body.dueDate);
+    if (startDate === false || dueDate === false) {
+      return res.status(400).json({ msg: 'Invalid date' });
+    }
+    if (startDate && dueDate && startDate > dueDate) {
+      return res.status(400).json({ msg: 'Start date must be before due date' });
+    }
+
+    const recurrence = parseRecurrence(req.body.recurrence);
+    if (recurrence === false) {
+      return res.status(400).json({ msg: 'Invalid recurrence' });
+    }
+
+    const estimate = parseEstimate(req.body.estimate);
+    if (estimate === false) {
+      return res.status(400).json({ msg: 'Estimate must be a non-negative number' });
+    }
+
+    const priority = req.body.priority || DEFAULT_PRIORITY;
+    if (!PRIORITIES.includes(priority)) {
+      return res.status(400).json({ msg: `priority must be one of: ${PRIORITIES.join(', ')}` });
+    }
+
     if (!board) {
       return res.status(400).json({ msg: 'Board ID is required' });
     }
@@ -90,22 +406,105 @@ export const createTask = async (req, res) => {
       }
     }
 
+    const targetColumn = await resolveColumn(boardDoc._id, { column, status });
+    if (!targetColumn) {
+      return res.status(400).json({ msg: 'Invalid column' });
+    }
+
+    if (labels && !areBoardLabels(labels, boardDoc)) {
+      return res.status(400).json({ msg: 'Invalid label' });
+    }
+
+    const customFields = parseCustomFieldValues(req.body.customFields, boardDoc);
+    if (customFields?.error) {
+      return res.status(400).json({ msg: customFields.error });
+    }
+
+    // A template of the workspace pre-fills the card; fields given in the
+    // request win, and the given title fills {title} in the template's title
+    // (or replaces it when the template's title has no {title})
+    let checklists = [];
+    if (req.body.template) {
+      if (!mongoose.isValidObjectId(req.body.template)) {
+        return res.status(400).json({ msg: 'Invalid template' });
+      }
+
+      const template = await TaskTemplate.findOne({
+        _id: req.body.template,
+        workspace: workspace._id,
+      });
+      if (!template) {
+        return res.status(404).json({ msg: 'Template not found' });
+      }
+
+      const defaults = templateTaskFields(template, { board: boardDoc, workspace, title });
+      if (!title || template.title.includes('{title}')) title = defaults.title;
+      if (!title) {
+        return res.status(400).json({ msg: 'Title is required' });
+      }
+
+      if (description === undefined) description = defaults.description;
+      if (assignedTo === undefined) assignedTo = defaults.assignedTo;
+      if (labels === undefined) labels = await findOrCreateBoardLabels(template.labels, boardDoc);
+      checklists = defaults.checklists;
+    }
+
+    const mentions = await resolveMentions(description, workspace);
+
     const newTask = new Task({
       title,
-      description,
-      status: status || 'todo',
+      ...descriptionFields(description),
+      mentions,
+      status: targetColumn.key,
+      column: targetColumn._id,
+      statusHistory: [statusHistoryEntry(targetColumn)],
+      order: await rankAtEnd(boardDoc._id, targetColumn._id),
       board,
       assignedTo: assignedTo || [],
+      startDate: startDate || null,
+      dueDate: dueDate || null,
+      labels: labels || [],
+      customFields: customFields ? applyCustomFieldValues([], customFields.values) : [],
+      checklists,
+      estimate: estimate ?? null,
+      ...priorityFields(priority),
       createdBy: req.user.id,
-      // Store Cloudinary URL (secure_url or path)
-      attachment: req.file ? (req.file.secure_url || req.file.path) : null,
+      watchers: defaultWatchers(req.user.id, assignedTo),
+    });
+
+    // A recurring task starts a new series as its first occurrence
+    if (recurrence) {
+      newTask.recurrence = { ...recurrence, series: newTask._id, occurrence: 1 };
+    }
+
+    newTask.attachments = await storeUploadedFiles(req, newTask._id);
+
+    let task;
+    try {
+      task = await newTask.save();
+    } catch (error) {
+      // Nothing refers to the stored files when the task was not saved
+      await deleteAttachmentFiles(newTask.attachments);
+      throw error;
+    }
+    await recordActivity({ task, actor: req.user.id, action: 'created' });
+    await notifyMentions({
+      mentions,
+      actorId: req.user.id,
+      task,
+      boardTitle: boardDoc.title,
+      text: description,
     });
 
-    const task = await newTask.save();
+    // Assignees hear about urgent work right away, not only through watching
+    if (priority === 'urgent') {
+      await notifyUrgentAssignees({ task, actorId: req.user.id, boardTitle: boardDoc.title });
+    }
+
     await task.populate('assignedTo', 'name email');
     await task.populate('createdBy', 'name email');
 
-    res.json(task);
+    res.json(await withTaskDependencies(task));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -118,13 +517,36 @@ export const createTask = async (req, res) => {
 export const updateTask = async (req, res) => {
   try {
     // Handle both JSON and FormData
-    let { title, description, status, assignedTo, board: newBoardId } = req.body;
+    let { title, description, status, column, assignedTo, board: newBoardId } = req.body;
 
     // Ensure assignedTo is an array if provided
     if (assignedTo !== undefined && !Array.isArray(assignedTo)) {
       assignedTo = assignedTo ? [assignedTo] : [];
     }
 
+    const labels = normalizeLabelIds(req.body.labels);
+
+    const startDate = parseDateInput(req.body.startDate);
+    const dueDate = parseDateInput(req.body.dueDate);
+    if (startDate === false || dueDate === false) {
+      return res.status(400).json({ msg: 'Invalid date' });
+    }
+
+    const recurrence = parseRecurrence(req.body.recurrence);
+    if (recurrence === false) {
+      return res.status(400).json({ msg: 'Invalid recurrence' });
+    }
+
+    const estimate = parseEstimate(req.body.estimate);
+    if (estimate === false) {
+      return res.status(400).json({ msg: 'Estimate must be a non-negative number' });
+    }
+
+    const { priority } = req.body;
+    if (priority !== undefined && !PRIORITIES.includes(priority)) {
+      return res.status(400).json({ msg: `priority must be one of: ${PRIORITIES.join(', ')}` });
+    }
+
     let task = await Task.findById(req.params.id).populate('board');
 
     if (!task) {
@@ -156,7 +578,16 @@ export const updateTask = async (req, res) => {
       title === undefined && 
       description === undefined && 
       status === undefined && 
-      assignedTo === undefined;
+      column === undefined &&
+      assignedTo === undefined &&
+      startDate === undefined &&
+      dueDate === undefined &&
+      labels === undefined &&
+      recurrence === undefined &&
+      estimate === undefined &&
+      priority === undefined &&
+      req.body.customFields === undefined &&
+      getUploadedFiles(req).length === 0;
 
     // If only moving between boards, any workspace member can do it
     if (isOnlyBoardChange) {
@@ -182,9 +613,14 @@ export const updateTask = async (req, res) => {
       }
     }
 
+    if (task.archived) {
+      return res.status(400).json({ msg: 'Task is archived; restore it first' });
+    }
+
     // If board is being changed, validate new board is in same workspace
+    let newBoard = null;
     if (newBoardId !== undefined && newBoardId !== (task.board._id || task.board).toString()) {
-      const newBoard = await Board.findById(newBoardId).populate('workspace');
+      newBoard = await Board.findById(newBoardId).populate('workspace');
       if (!newBoard) {
         return res.status(404).json({ msg: 'New board not found' });
       }
@@ -219,48 +655,163 @@ export const updateTask = async (req, res) => {
       }
     }
 
+    const currentBoardId = (task.board._id || task.board).toString();
+    const isBoardChange = newBoardId !== undefined && newBoardId !== currentBoardId;
+
+    // Resolve the target column; a task moving boards keeps its column key
+    // when the new board has one, otherwise it lands in the first column
+    let targetColumn = null;
+    if (column !== undefined || status !== undefined) {
+      targetColumn = await resolveColumn(isBoardChange ? newBoardId : currentBoardId, { column, status });
+      if (!targetColumn) {
+        return res.status(400).json({ msg: 'Invalid column' });
+      }
+    } else if (isBoardChange) {
+      targetColumn =
+        (await resolveColumn(newBoardId, { status: task.status })) ||
+        (await resolveColumn(newBoardId));
+    }
+
+    const blocked = targetColumn && (await checkBlockers(task, targetColumn, newBoard || currentBoard));
+    if (blocked?.reject) {
+      return res.status(400).json({ msg: 'Task is blocked by open tasks', blockers: blocked.blockers });
+    }
+
+    const overLimit = targetColumn && (await checkWipLimit(task, targetColumn, newBoard || currentBoard));
+    if (overLimit?.reject) {
+      return res.status(400).json({ msg: overLimit.msg, wip: overLimit.wip });
+    }
+
     const updateData = {};
     if (title !== undefined) updateData.title = title;
-    if (description !== undefined) updateData.description = description;
-    if (status !== undefined) updateData.status = status;
+    if (description !== undefined) {
+      const mentions = await resolveMentions(description, workspace);
+      Object.assign(updateData, descriptionFields(description));
+      updateData.mentions = mentions;
+    }
+    if (targetColumn) {
+      updateData.status = targetColumn.key;
+      updateData.column = targetColumn._id;
+
+      // Changing column or board puts the task at the end of its new column
+      if (isBoardChange || !targetColumn._id.equals(task.column)) {
+        updateData.order = await rankAtEnd(targetColumn.board, targetColumn._id);
+      }
+    }
     if (assignedTo !== undefined) updateData.assignedTo = assignedTo;
     if (newBoardId !== undefined) updateData.board = newBoardId;
-    
-    // Handle file upload/update
-    if (req.file) {
-      // Delete old file from Cloudinary if it exists
-      if (task.attachment) {
-        try {
-          await deleteFromCloudinary(task.attachment);
-        } catch (error) {
-          console.error('Error deleting old file from Cloudinary:', error);
-          // Continue even if deletion fails
-        }
+    if (estimate !== undefined) updateData.estimate = estimate;
+    if (priority !== undefined) Object.assign(updateData, priorityFields(priority));
+
+    if (startDate !== undefined || dueDate !== undefined) {
+      const nextStart = startDate !== undefined ? startDate : task.startDate;
+      const nextDue = dueDate !== undefined ? dueDate : task.dueDate;
+      if (nextStart && nextDue && nextStart > nextDue) {
+        return res.status(400).json({ msg: 'Start date must be before due date' });
       }
-      // Store new Cloudinary URL
-      updateData.attachment = req.file.secure_url || req.file.path;
-    } else if (req.body.attachment === null || req.body.attachment === '') {
-      // Handle explicit attachment removal
-      if (task.attachment) {
-        try {
-          await deleteFromCloudinary(task.attachment);
-        } catch (error) {
-          console.error('Error deleting file from Cloudinary:', error);
-          // Continue even if deletion fails
+
+      if (startDate !== undefined) updateData.startDate = startDate;
+      if (dueDate !== undefined) {
+        updateData.dueDate = dueDate;
+        // A new due date gets a fresh set of reminders
+        if (String(dueDate?.getTime()) !== String(task.dueDate?.getTime())) {
+          updateData.remindersSent = [];
         }
       }
-      updateData.attachment = null;
     }
 
-    task = await Task.findByIdAndUpdate(
-      req.params.id,
-      { $set: updateData },
-      { new: true }
-    )
-      .populate('assignedTo', 'name email')
-      .populate('createdBy', 'name email');
+    // Changing the rule keeps the task's place in its series
+    if (recurrence !== undefined) {
+      updateData.recurrence = recurrence && {
+        ...recurrence,
+        series: task.recurrence?.series || task._id,
+        occurrence: task.recurrence?.occurrence || 1,
+        nextCreated: task.recurrence?.nextCreated || false,
+      };
+    }
+
+    // Labels must come from the task's (new) board. A task moving boards
+    // without new labels takes its labels along into the new board's label set.
+    if (labels !== undefined) {
+      if (!areBoardLabels(labels, newBoard || currentBoard)) {
+        return res.status(400).json({ msg: 'Invalid label' });
+      }
+      updateData.labels = labels;
+    } else if (newBoard && task.labels.length > 0) {
+      updateData.labels = await copyLabelsToBoard(task.labels, currentBoard, newBoard);
+    }
 
-    res.json(task);
+    // Custom field values must fit the (new) board's fields. Values of a task
+    // moving boards carry over to fields with the same name and type.
+    const customFields = parseCustomFieldValues(req.body.customFields, newBoard || currentBoard);
+    if (customFields?.error) {
+      return res.status(400).json({ msg: customFields.error });
+    }
+    const currentFieldValues = newBoard
+      ? copyCustomFieldsToBoard(task.customFields, currentBoard, newBoard)
+      : task.customFields;
+    if (customFields) {
+      updateData.customFields = applyCustomFieldValues(currentFieldValues, customFields.values);
+    } else if (newBoard) {
+      updateData.customFields = currentFieldValues;
+    }
+    
+    const update = { $set: updateData };
+
+    // New assignees start watching the task
+    if (assignedTo !== undefined && assignedTo.length > 0) {
+      update.$addToSet = { watchers: { $each: assignedTo } };
+    }
+
+    // Uploaded files are added next to the existing attachments
+    const uploaded = getUploadedFiles(req).length > 0
+      ? await storeUploadedFiles(req, task._id)
+      : [];
+    if (uploaded.length > 0) {
+      update.$push = { attachments: { $each: uploaded } };
+    }
+
+    if (targetColumn && !targetColumn._id.equals(task.column)) {
+      update.$push = { ...update.$push, statusHistory: statusHistoryEntry(targetColumn) };
+    }
+
+    // Labels copied to a new board get new ids; only log labels the user set
+    const changes = diffTask(task, { ...updateData, labels });
+    const previousMentions = task.mentions;
+
+    try {
+      task = await Task.findByIdAndUpdate(
+        req.params.id,
+        update,
+        { new: true }
+      )
+        .populate('assignedTo', 'name email')
+        .populate('createdBy', 'name email');
+    } catch (error) {
+      // Nothing refers to the stored files when the task was not updated
+      await deleteAttachmentFiles(uploaded);
+      throw error;
+    }
+
+    await recordActivity({ task, actor: req.user.id, action: 'updated', changes });
+    await queueTaskNotification({ task, actor: req.user.id, action: 'updated', changes });
+
+    // Only people mentioned by this edit are notified
+    if (updateData.mentions) {
+      await notifyMentions({
+        mentions: updateData.mentions,
+        previous: previousMentions,
+        actorId: req.user.id,
+        task,
+        boardTitle: (newBoard || currentBoard).title,
+        text: description,
+      });
+    }
+
+    const response = await withTaskDependencies(task);
+    if (blocked) response.warning = { msg: 'Task is blocked by open tasks', blockers: blocked.blockers };
+    if (overLimit) response.wipExceeded = { msg: overLimit.msg, ...overLimit.wip };
+    res.json(response);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -269,10 +820,15 @@ export const updateTask = async (req, res) => {
 
 /**
  * Update task status (task creator, assigned user, workspace member, or admin)
+ * Body: { column } (column id) or { status } (column key)
  */
 export const updateTaskStatus = async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, column } = req.body;
+
+    if (!status && !column) {
+      return res.status(400).json({ msg: 'Column or status is required' });
+    }
 
     let task = await Task.findById(req.params.id).populate('board');
 
@@ -299,16 +855,182 @@ export const updateTaskStatus = async (req, res) => {
       return res.status(403).json({ msg: 'Access denied' });
     }
 
+    if (task.archived) {
+      return res.status(400).json({ msg: 'Task is archived; restore it first' });
+    }
+
+    const targetColumn = await resolveColumn(board._id, { column, status });
+    if (!targetColumn) {
+      return res.status(400).json({ msg: 'Invalid column' });
+    }
+
+    // Completing a task with open blockers is rejected or allowed with a warning
+    const blocked = await checkBlockers(task, targetColumn, board);
+    if (blocked?.reject) {
+      return res.status(400).json({ msg: 'Task is blocked by open tasks', blockers: blocked.blockers });
+    }
+
+    // Moving into a full column is rejected or allowed with a flag
+    const overLimit = await checkWipLimit(task, targetColumn, board);
+    if (overLimit?.reject) {
+      return res.status(400).json({ msg: overLimit.msg, wip: overLimit.wip });
+    }
+
+    const updateData = { status: targetColumn.key, column: targetColumn._id };
+    if (!targetColumn._id.equals(task.column)) {
+      updateData.order = await rankAtEnd(board._id, targetColumn._id);
+    }
+
+    const update = { $set: updateData };
+    if (!targetColumn._id.equals(task.column)) {
+      update.$push = { statusHistory: statusHistoryEntry(targetColumn) };
+    }
+
+    const changes = diffTask(task, updateData);
+
     // Any workspace member can update task status
     task = await Task.findByIdAndUpdate(
       req.params.id,
-      { $set: { status } },
+      update,
+      { new: true }
+    )
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email');
+
+    await recordActivity({ task, actor: req.user.id, action: 'status_changed', changes });
+    await queueTaskNotification({ task, actor: req.user.id, action: 'status_changed', changes });
+
+    const response = await withTaskDependencies(task);
+    if (blocked) response.warning = { msg: 'Task is blocked by open tasks', blockers: blocked.blockers };
+    if (overLimit) response.wipExceeded = { msg: overLimit.msg, ...overLimit.wip };
+    res.json(response);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Move task to a position in a column, optionally on another board in the
+ * same workspace (any workspace member, as for board-only moves in updateTask)
+ * Body: { column, board, beforeId, afterId } - beforeId/afterId are the tasks
+ * directly above and below the new position; omit both to move to the end
+ */
+export const moveTask = async (req, res) => {
+  try {
+    const { column, board: newBoardId, beforeId, afterId } = req.body;
+
+    let task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+
+    const { board, workspace } = await getBoardContext(task.board);
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    if (task.archived) {
+      return res.status(400).json({ msg: 'Task is archived; restore it first' });
+    }
+
+    let targetBoard = board;
+    if (newBoardId !== undefined && newBoardId !== board._id.toString()) {
+      const target = await getBoardContext(newBoardId);
+      if (!target.board) {
+        return res.status(404).json({ msg: 'New board not found' });
+      }
+      if (!target.workspace) {
+        return res.status(404).json({ msg: 'New workspace not found' });
+      }
+
+      // Ensure new board is in the same workspace
+      if (!target.workspace._id.equals(workspace._id)) {
+        return res.status(400).json({ 
+          msg: 'Cannot move task to a board in a different workspace' 
+        });
+      }
+      targetBoard = target.board;
+    }
+
+    // Without a column the task keeps its column key (or the first column on another board)
+    const targetColumn = column
+      ? await resolveColumn(targetBoard._id, { column })
+      : (await resolveColumn(targetBoard._id, { status: task.status })) ||
+        (await resolveColumn(targetBoard._id));
+    if (!targetColumn) {
+      return res.status(400).json({ msg: 'Invalid column' });
+    }
+
+    const blocked = await checkBlockers(task, targetColumn, targetBoard);
+    if (blocked?.reject) {
+      return res.status(400).json({ msg: 'Task is blocked by open tasks', blockers: blocked.blockers });
+    }
+
+    const overLimit = await checkWipLimit(task, targetColumn, targetBoard);
+    if (overLimit?.reject) {
+      return res.status(400).json({ msg: overLimit.msg, wip: overLimit.wip });
+    }
+
+    const order = await rankForPosition({
+      boardId: targetBoard._id,
+      columnId: targetColumn._id,
+      taskId: task._id,
+      beforeId,
+      afterId,
+    });
+    if (order === null) {
+      return res.status(400).json({ msg: 'Neighbouring tasks must be in the target column' });
+    }
+    if (order === false) {
+      return res.status(400).json({ msg: 'The task before must be above the task after' });
+    }
+
+    const updateData = {
+      board: targetBoard._id,
+      column: targetColumn._id,
+      status: targetColumn.key,
+      order,
+    };
+
+    // Labels follow the task into the new board's label set
+    if (targetBoard !== board && task.labels.length > 0) {
+      updateData.labels = await copyLabelsToBoard(task.labels, board, targetBoard);
+    }
+    if (targetBoard !== board) {
+      updateData.customFields = copyCustomFieldsToBoard(task.customFields, board, targetBoard);
+    }
+
+    const update = { $set: updateData };
+    if (!targetColumn._id.equals(task.column)) {
+      update.$push = { statusHistory: statusHistoryEntry(targetColumn) };
+    }
+
+    // Reordering within a column changes nothing worth logging
+    const changes = diffTask(task, { board: updateData.board, status: updateData.status });
+
+    task = await Task.findByIdAndUpdate(
+      req.params.id,
+      update,
       { new: true }
     )
       .populate('assignedTo', 'name email')
       .populate('createdBy', 'name email');
 
-    res.json(task);
+    await recordActivity({ task, actor: req.user.id, action: 'moved', changes });
+
+    const response = await withTaskDependencies(task);
+    if (blocked) response.warning = { msg: 'Task is blocked by open tasks', blockers: blocked.blockers };
+    if (overLimit) response.wipExceeded = { msg: overLimit.msg, ...overLimit.wip };
+    res.json(response);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -316,7 +1038,9 @@ export const updateTaskStatus = async (req, res) => {
 };
 
 /**
- * Delete task (only task creator, workspace admin, or app admin)
+ * Archive task (only task creator, workspace admin, or app admin)
+ * Archived tasks are hidden from listings; they can be restored or deleted
+ * permanently from the archive.
  */
 export const deleteTask = async (req, res) => {
   try {
@@ -359,17 +1083,153 @@ export const deleteTask = async (req, res) => {
       return res.status(403).json({ msg: 'Not authorized' });
     }
 
-    // Delete attachment from Cloudinary if it exists
-    if (task.attachment) {
-      try {
-        await deleteFromCloudinary(task.attachment);
-      } catch (error) {
-        console.error('Error deleting file from Cloudinary:', error);
-        // Continue with task deletion even if file deletion fails
-      }
+    if (task.archived) {
+      return res.status(400).json({ msg: 'Task is already archived' });
+    }
+
+    await Task.findByIdAndUpdate(task._id, {
+      $set: { archived: true, archivedAt: new Date(), archivedBy: req.user.id },
+    });
+    await recordActivity({ task, actor: req.user.id, action: 'archived' });
+    await queueTaskNotification({ task, actor: req.user.id, action: 'archived' });
+
+    res.json({ msg: 'Task archived' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Get archived tasks of a board, most recently archived first (only workspace members)
+ */
+export const getArchivedTasks = async (req, res) => {
+  try {
+    const { board, workspace } = await getBoardContext(req.params.boardId);
+
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const tasks = await Task.find({ board: board._id, archived: true })
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email')
+      .populate('archivedBy', 'name email')
+      .sort({ archivedAt: -1 });
+
+    res.json(tasks);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Restore an archived task to the end of its column
+ * (only task creator, workspace admin, or app admin)
+ */
+export const restoreTask = async (req, res) => {
+  try {
+    let { task, board, workspace } = await getTaskContext(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+    if (!canDeleteTask(task, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    if (!task.archived) {
+      return res.status(400).json({ msg: 'Task is not archived' });
+    }
+
+    // Fall back to the first column if the task's column no longer exists
+    const targetColumn =
+      (await resolveColumn(board._id, { column: task.column })) ||
+      (await resolveColumn(board._id));
+
+    const overLimit = await checkWipLimit(task, targetColumn, board);
+    if (overLimit?.reject) {
+      return res.status(400).json({ msg: overLimit.msg, wip: overLimit.wip });
+    }
+
+    const update = {
+      $set: {
+        archived: false,
+        archivedAt: null,
+        archivedBy: null,
+        column: targetColumn._id,
+        status: targetColumn.key,
+        order: await rankAtEnd(board._id, targetColumn._id),
+      },
+    };
+    if (!targetColumn._id.equals(task.column)) {
+      update.$push = { statusHistory: statusHistoryEntry(targetColumn) };
+    }
+
+    task = await Task.findByIdAndUpdate(task._id, update, { new: true })
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email');
+
+    await recordActivity({ task, actor: req.user.id, action: 'restored' });
+
+    const response = await withTaskDependencies(task);
+    if (overLimit) response.wipExceeded = { msg: overLimit.msg, ...overLimit.wip };
+    res.json(response);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Permanently delete an archived task with its attachments
+ * (only task creator, workspace admin, or app admin)
+ */
+export const permanentlyDeleteTask = async (req, res) => {
+  try {
+    const { task, board, workspace } = await getTaskContext(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+    if (!canDeleteTask(task, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    // Only archived tasks can be deleted for good
+    if (!task.archived) {
+      return res.status(400).json({ msg: 'Archive the task before deleting it permanently' });
     }
 
-    await Task.findByIdAndDelete(req.params.id);
+    await purgeTask(task);
     res.json({ msg: 'Task removed' });
   } catch (err) {
     console.error(err.message);
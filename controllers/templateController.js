@@ -0,0 +1,260 @@
+import TaskTemplate from '../models/taskTemplate.model.js';
+import Workspace from '../models/workspace.model.js';
+import {
+  getTaskContext,
+  canAccessWorkspace,
+  isWorkspaceAdmin,
+} from '../utils/access.utils.js';
+import {
+  normalizeTemplateLabels,
+  normalizeTemplateChecklists,
+} from '../utils/template.utils.js';
+
+/**
+ * Check every user id is a member of the workspace
+ */
+const areWorkspaceMembers = (userIds, workspace) =>
+  userIds.every((id) => workspace.members.some((m) => m.user.toString() === id.toString()));
+
+/**
+ * Template creator, workspace admin or app admin can change a template
+ */
+const canManageTemplate = (template, workspace, user) =>
+  user.role === 'admin' ||
+  template.createdBy.toString() === user.id ||
+  isWorkspaceAdmin(workspace, user);
+
+/**
+ * Load the workspace of a template request and check the user is a member.
+ * Sends the error response and returns null when the request cannot continue.
+ */
+const loadWorkspace = async (req, res) => {
+  const workspace = await Workspace.findById(req.params.id);
+
+  if (!workspace) {
+    res.status(404).json({ msg: 'Workspace not found' });
+    return null;
+  }
+  if (!canAccessWorkspace(workspace, req.user)) {
+    res.status(403).json({ msg: 'Access denied' });
+    return null;
+  }
+
+  return workspace;
+};
+
+/**
+ * Validate template fields from the request body.
+ * Returns { fields } with the fields given, or { error }.
+ */
+const parseTemplateBody = (body, workspace) => {
+  const fields = {};
+
+  for (const key of ['name', 'title']) {
+    if (body[key] === undefined) continue;
+    if (!body[key] || !String(body[key]).trim()) {
+      return { error: `Template ${key} is required` };
+    }
+    fields[key] = body[key];
+  }
+  if (body.description !== undefined) fields.description = body.description || '';
+
+  const labels = normalizeTemplateLabels(body.labels);
+  if (labels === false) {
+    return { error: 'Invalid label color' };
+  }
+  if (labels) fields.labels = labels;
+
+  const checklists = normalizeTemplateChecklists(body.checklists);
+  if (checklists === false) {
+    return { error: 'Invalid checklists' };
+  }
+  if (checklists) fields.checklists = checklists;
+
+  if (body.assignees !== undefined) {
+    if (!Array.isArray(body.assignees) || !areWorkspaceMembers(body.assignees, workspace)) {
+      return { error: 'All assignees must be workspace members' };
+    }
+    fields.assignees = body.assignees;
+  }
+
+  return { fields };
+};
+
+/**
+ * Get the task templates of a workspace (only workspace members)
+ */
+export const getTemplates = async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    const templates = await TaskTemplate.find({ workspace: workspace._id })
+      .populate('assignees', 'name email')
+      .populate('createdBy', 'name email')
+      .sort({ name: 1 });
+
+    res.json(templates);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Create a task template (any workspace member)
+ * Body: { name, title, description, labels: [{ name, color }],
+ *         checklists: [{ title, items: [text] }], assignees: [userId] }
+ */
+export const createTemplate = async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    const { fields, error } = parseTemplateBody(req.body || {}, workspace);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+    if (!fields.name || !fields.title) {
+      return res.status(400).json({ msg: 'Template name and title are required' });
+    }
+
+    const template = await TaskTemplate.create({
+      ...fields,
+      workspace: workspace._id,
+      createdBy: req.user.id,
+    });
+    await template.populate('assignees', 'name email');
+    await template.populate('createdBy', 'name email');
+
+    res.json(template);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Save a task as a template of its workspace (any workspace member)
+ * Body: { name, title } - title is the title pattern (default the task's title)
+ * Keeps the description, labels (by name and color), checklist items
+ * (unchecked) and assignees.
+ */
+export const createTemplateFromTask = async (req, res) => {
+  try {
+    const { name, title } = req.body || {};
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ msg: 'Template name is required' });
+    }
+
+    const { task, board, workspace } = await getTaskContext(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const template = await TaskTemplate.create({
+      workspace: workspace._id,
+      name,
+      title: title && title.trim() ? title : task.title,
+      description: task.description || '',
+      labels: task.labels
+        .map((id) => board.labels.id(id))
+        .filter(Boolean)
+        .map((label) => ({ name: label.name, color: label.color })),
+      checklists: task.checklists.map((checklist) => ({
+        title: checklist.title,
+        items: checklist.items.map((item) => item.text),
+      })),
+      assignees: task.assignedTo,
+      createdBy: req.user.id,
+    });
+    await template.populate('assignees', 'name email');
+    await template.populate('createdBy', 'name email');
+
+    res.json(template);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Update a task template (template creator, workspace admin, or app admin)
+ * Body: any of the createTemplate fields
+ */
+export const updateTemplate = async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    let template = await TaskTemplate.findOne({
+      _id: req.params.templateId,
+      workspace: workspace._id,
+    });
+    if (!template) {
+      return res.status(404).json({ msg: 'Template not found' });
+    }
+
+    if (!canManageTemplate(template, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const { fields, error } = parseTemplateBody(req.body || {}, workspace);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    template = await TaskTemplate.findByIdAndUpdate(
+      template._id,
+      { $set: fields },
+      { new: true }
+    )
+      .populate('assignees', 'name email')
+      .populate('createdBy', 'name email');
+
+    res.json(template);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Delete a task template (template creator, workspace admin, or app admin)
+ */
+export const deleteTemplate = async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    const template = await TaskTemplate.findOne({
+      _id: req.params.templateId,
+      workspace: workspace._id,
+    });
+    if (!template) {
+      return res.status(404).json({ msg: 'Template not found' });
+    }
+
+    if (!canManageTemplate(template, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    await TaskTemplate.findByIdAndDelete(template._id);
+    res.json({ msg: 'Template removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
@@ -0,0 +1,442 @@
+import mongoose from 'mongoose';
+import TimeEntry from '../models/timeEntry.model.js';
+import Task from '../models/task.model.js';
+import Board from '../models/board.model.js';
+import Workspace from '../models/workspace.model.js';
+import {
+  getTaskContext,
+  getBoardContext,
+  canAccessWorkspace,
+  isWorkspaceAdmin,
+} from '../utils/access.utils.js';
+import { toCsv } from '../utils/csv.utils.js';
+
+/**
+ * Parse an optional date. Returns undefined when not provided, false when invalid.
+ */
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? false : date;
+};
+
+const secondsBetween = (start, end) => Math.max(Math.round((end - start) / 1000), 0);
+
+/**
+ * Load the task for a time tracking request; any workspace member may log time.
+ * Sends the error response and returns null when the request cannot continue.
+ */
+const loadTrackableTask = async (req, res) => {
+  const { task, board, workspace } = await getTaskContext(req.params.id);
+
+  if (!task) {
+    res.status(404).json({ msg: 'Task not found' });
+    return null;
+  }
+  if (!board) {
+    res.status(404).json({ msg: 'Board not found' });
+    return null;
+  }
+  if (!workspace) {
+    res.status(404).json({ msg: 'Workspace not found' });
+    return null;
+  }
+
+  if (!canAccessWorkspace(workspace, req.user)) {
+    res.status(403).json({ msg: 'Access denied' });
+    return null;
+  }
+
+  return { task, workspace };
+};
+
+/**
+ * Get the time entries of a task, newest first (only workspace members)
+ */
+export const getTimeEntries = async (req, res) => {
+  try {
+    const context = await loadTrackableTask(req, res);
+    if (!context) return;
+
+    const entries = await TimeEntry.find({ task: context.task._id })
+      .populate('user', 'name email')
+      .sort({ startedAt: -1 });
+
+    const totalSeconds = entries.reduce((sum, e) => sum + e.duration, 0);
+
+    res.json({ entries, totalSeconds });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Start a timer on a task (any workspace member)
+ * A user can only have one running timer; stop it before starting another.
+ * Body: { note }
+ */
+export const startTimer = async (req, res) => {
+  try {
+    const context = await loadTrackableTask(req, res);
+    if (!context) return;
+
+    if (context.task.archived) {
+      return res.status(400).json({ msg: 'Task is archived; restore it first' });
+    }
+
+    const running = await TimeEntry.findOne({ user: req.user.id, running: true })
+      .populate('task', 'title board');
+    if (running) {
+      return res.status(400).json({ msg: 'You already have a running timer', timer: running });
+    }
+
+    let entry;
+    try {
+      entry = await TimeEntry.create({
+        task: context.task._id,
+        user: req.user.id,
+        startedAt: new Date(),
+        note: req.body?.note || '',
+        source: 'timer',
+        running: true,
+      });
+    } catch (error) {
+      // Another request started a timer at the same time
+      if (error.code === 11000) {
+        return res.status(400).json({ msg: 'You already have a running timer' });
+      }
+      throw error;
+    }
+
+    await entry.populate('task', 'title board');
+    res.json(entry);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Get the current user's running timer (null when none is running)
+ */
+export const getRunningTimer = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ user: req.user.id, running: true })
+      .populate('task', 'title board');
+
+    res.json(entry);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Stop the current user's running timer, wherever it runs
+ * Body: { note } - optionally replaces the timer's note
+ */
+export const stopTimer = async (req, res) => {
+  try {
+    const note = req.body?.note;
+
+    const running = await TimeEntry.findOne({ user: req.user.id, running: true });
+    if (!running) {
+      return res.status(404).json({ msg: 'No running timer' });
+    }
+
+    const endedAt = new Date();
+    const update = {
+      running: false,
+      endedAt,
+      duration: secondsBetween(running.startedAt, endedAt),
+    };
+    if (note !== undefined) update.note = note;
+
+    const entry = await TimeEntry.findOneAndUpdate(
+      { _id: running._id, running: true },
+      { $set: update },
+      { new: true }
+    ).populate('task', 'title board');
+
+    if (!entry) {
+      return res.status(404).json({ msg: 'No running timer' });
+    }
+
+    res.json(entry);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Log time on a task by hand (any workspace member, for themselves)
+ * Body: { startedAt, endedAt, note } or { minutes, startedAt, note }
+ * (startedAt defaults to `minutes` before now)
+ */
+export const addTimeEntry = async (req, res) => {
+  try {
+    const { minutes, note } = req.body;
+
+    let startedAt = parseDate(req.body.startedAt);
+    let endedAt = parseDate(req.body.endedAt);
+    if (startedAt === false || endedAt === false) {
+      return res.status(400).json({ msg: 'Invalid date' });
+    }
+
+    if (minutes !== undefined) {
+      const durationMs = Number(minutes) * 60 * 1000;
+      if (!Number.isFinite(durationMs) || durationMs <= 0) {
+        return res.status(400).json({ msg: 'minutes must be a positive number' });
+      }
+      startedAt = startedAt || new Date(Date.now() - durationMs);
+      endedAt = new Date(startedAt.getTime() + durationMs);
+    }
+
+    if (!startedAt || !endedAt) {
+      return res.status(400).json({ msg: 'Provide startedAt and endedAt, or minutes' });
+    }
+    if (endedAt <= startedAt) {
+      return res.status(400).json({ msg: 'endedAt must be after startedAt' });
+    }
+
+    const context = await loadTrackableTask(req, res);
+    if (!context) return;
+
+    if (context.task.archived) {
+      return res.status(400).json({ msg: 'Task is archived; restore it first' });
+    }
+
+    const entry = await TimeEntry.create({
+      task: context.task._id,
+      user: req.user.id,
+      startedAt,
+      endedAt,
+      duration: secondsBetween(startedAt, endedAt),
+      note: note || '',
+      source: 'manual',
+    });
+    await entry.populate('user', 'name email');
+
+    res.json(entry);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Edit a time entry (only the user who logged it)
+ * Body: { startedAt, endedAt, note } - running timers can only change their note
+ */
+export const updateTimeEntry = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const startedAt = parseDate(req.body.startedAt);
+    const endedAt = parseDate(req.body.endedAt);
+    if (startedAt === false || endedAt === false) {
+      return res.status(400).json({ msg: 'Invalid date' });
+    }
+
+    const context = await loadTrackableTask(req, res);
+    if (!context) return;
+
+    const entry = await TimeEntry.findOne({ _id: req.params.entryId, task: context.task._id });
+    if (!entry) {
+      return res.status(404).json({ msg: 'Time entry not found' });
+    }
+
+    if (entry.user.toString() !== req.user.id) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    if (entry.running && (startedAt || endedAt)) {
+      return res.status(400).json({ msg: 'Stop the timer before changing its times' });
+    }
+
+    if (startedAt) entry.startedAt = startedAt;
+    if (endedAt) entry.endedAt = endedAt;
+    if (!entry.running) {
+      if (entry.endedAt <= entry.startedAt) {
+        return res.status(400).json({ msg: 'endedAt must be after startedAt' });
+      }
+      entry.duration = secondsBetween(entry.startedAt, entry.endedAt);
+    }
+    if (note !== undefined) entry.note = note;
+
+    await entry.save();
+    await entry.populate('user', 'name email');
+
+    res.json(entry);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Delete a time entry (the user who logged it, workspace admin, or app admin)
+ */
+export const deleteTimeEntry = async (req, res) => {
+  try {
+    const context = await loadTrackableTask(req, res);
+    if (!context) return;
+
+    const entry = await TimeEntry.findOne({ _id: req.params.entryId, task: context.task._id });
+    if (!entry) {
+      return res.status(404).json({ msg: 'Time entry not found' });
+    }
+
+    const isAuthorized =
+      entry.user.toString() === req.user.id ||
+      isWorkspaceAdmin(context.workspace, req.user) ||
+      req.user.role === 'admin';
+
+    if (!isAuthorized) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    await TimeEntry.findByIdAndDelete(entry._id);
+    res.json({ msg: 'Time entry removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Add seconds to the total of a key in a Map of { item, seconds }
+ */
+const addTotal = (totals, key, item, seconds) => {
+  const total = totals.get(key) || { ...item, seconds: 0 };
+  total.seconds += seconds;
+  totals.set(key, total);
+};
+
+/**
+ * Report logged time of a board or a whole workspace (only workspace members)
+ * Query:
+ * - board or workspace (one is required)
+ * - user: only time logged by this user
+ * - assignee: only time on tasks assigned to this user
+ * - from, to: only entries started in this range
+ * - format: "csv" to download the entries as CSV
+ * Running timers are not counted.
+ */
+export const getTimeReport = async (req, res) => {
+  try {
+    const { board: boardId, workspace: workspaceId, user, assignee, format } = req.query;
+
+    if (!boardId && !workspaceId) {
+      return res.status(400).json({ msg: 'Board or workspace is required' });
+    }
+    for (const id of [boardId, workspaceId, user, assignee]) {
+      if (id && !mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ msg: 'Invalid filter id' });
+      }
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === false || to === false) {
+      return res.status(400).json({ msg: 'Invalid date' });
+    }
+
+    let workspace;
+    let boards;
+    if (boardId) {
+      const context = await getBoardContext(boardId);
+      if (!context.board) {
+        return res.status(404).json({ msg: 'Board not found' });
+      }
+      workspace = context.workspace;
+      boards = [context.board];
+    } else {
+      workspace = await Workspace.findById(workspaceId);
+      boards = workspace ? await Board.find({ workspace: workspace._id }).select('title') : [];
+    }
+
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const taskFilter = { board: { $in: boards.map((b) => b._id) } };
+    if (assignee) taskFilter.assignedTo = assignee;
+    const tasks = await Task.find(taskFilter).select('title board');
+
+    const entryFilter = { task: { $in: tasks.map((t) => t._id) }, running: false };
+    if (user) entryFilter.user = user;
+    if (from || to) {
+      entryFilter.startedAt = {};
+      if (from) entryFilter.startedAt.$gte = from;
+      if (to) entryFilter.startedAt.$lte = to;
+    }
+
+    const entries = await TimeEntry.find(entryFilter)
+      .populate('user', 'name email')
+      .sort({ startedAt: 1 });
+
+    const tasksById = new Map(tasks.map((t) => [t._id.toString(), t]));
+    const boardsById = new Map(boards.map((b) => [b._id.toString(), b]));
+
+    if (format === 'csv') {
+      const rows = entries.map((entry) => {
+        const task = tasksById.get(entry.task.toString());
+        const board = boardsById.get(task.board.toString());
+        return [
+          entry.startedAt.toISOString().slice(0, 10),
+          board?.title,
+          task.title,
+          entry.user?.name,
+          entry.user?.email,
+          entry.startedAt,
+          entry.endedAt,
+          (entry.duration / 3600).toFixed(2),
+          entry.note,
+        ];
+      });
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="time-report.csv"');
+      return res.send(
+        toCsv(['Date', 'Board', 'Task', 'User', 'Email', 'Started', 'Ended', 'Hours', 'Note'], rows)
+      );
+    }
+
+    const byUser = new Map();
+    const byBoard = new Map();
+    const byTask = new Map();
+
+    for (const entry of entries) {
+      const task = tasksById.get(entry.task.toString());
+      const board = boardsById.get(task.board.toString());
+
+      addTotal(byUser, String(entry.user?._id), {
+        user: entry.user && { _id: entry.user._id, name: entry.user.name, email: entry.user.email },
+      }, entry.duration);
+      addTotal(byBoard, board._id.toString(), {
+        board: { _id: board._id, title: board.title },
+      }, entry.duration);
+      addTotal(byTask, task._id.toString(), {
+        task: { _id: task._id, title: task.title, board: task.board },
+      }, entry.duration);
+    }
+
+    res.json({
+      totalSeconds: entries.reduce((sum, e) => sum + e.duration, 0),
+      byUser: [...byUser.values()],
+      byBoard: [...byBoard.values()],
+      byTask: [...byTask.values()],
+      entries,
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
@@ -0,0 +1,280 @@
+import Task from '../models/task.model.js';
+import User from '../models/user.model.js';
+import { resolveColumn, statusHistoryEntry } from '../utils/column.utils.js';
+import { rankAtEnd } from '../utils/rank.utils.js';
+import {
+  getBoardContext,
+  getTaskContext,
+  canAccessWorkspace,
+  canDeleteTask,
+} from '../utils/access.utils.js';
+import { diffTask, recordActivity } from '../utils/activity.utils.js';
+import { copyLabelsToBoard } from '../utils/label.utils.js';
+import { copyCustomFieldsToBoard } from '../utils/customField.utils.js';
+import { copyAttachmentFiles, deleteAttachmentFiles } from '../utils/attachment.utils.js';
+import { defaultWatchers } from '../utils/notification.utils.js';
+import { resolveMentions } from '../utils/mention.utils.js';
+import { priorityFields } from '../utils/priority.utils.js';
+import { withTaskDependencies } from '../utils/dependency.utils.js';
+import { descriptionFields } from '../utils/markdown.utils.js';
+
+/**
+ * Load the board a task is copied or moved to, and the column it lands in:
+ * the given column, else the column with the task's column key, else the
+ * first column. Sends the error response and returns null when the caller
+ * cannot add tasks to the board.
+ */
+const loadTargetBoard = async (req, res, task) => {
+  const { board, workspace } = await getBoardContext(req.body?.board || task.board);
+
+  if (!board) {
+    res.status(404).json({ msg: 'Board not found' });
+    return null;
+  }
+  if (!workspace) {
+    res.status(404).json({ msg: 'Workspace not found' });
+    return null;
+  }
+
+  if (!canAccessWorkspace(workspace, req.user)) {
+    res.status(403).json({ msg: 'Access denied' });
+    return null;
+  }
+
+  const { column } = req.body || {};
+  const targetColumn = column
+    ? await resolveColumn(board._id, { column })
+    : (await resolveColumn(board._id, { status: task.status })) ||
+      (await resolveColumn(board._id));
+  if (!targetColumn) {
+    res.status(400).json({ msg: 'Invalid column' });
+    return null;
+  }
+
+  return { board, workspace, column: targetColumn };
+};
+
+const memberIdsOf = (workspace) => workspace.members.map((m) => m.user.toString());
+
+// Dropped users are reported with their name and email
+const describeUsers = (ids) =>
+  ids.length > 0 ? User.find({ _id: { $in: ids } }).select('name email') : [];
+
+/**
+ * Checklists for a task in another workspace; item assignees who are not
+ * members of it are cleared
+ */
+const checklistsFor = (checklists, memberIds) =>
+  checklists.map((checklist) => ({
+    title: checklist.title,
+    items: checklist.items.map((item) => ({
+      text: item.text,
+      done: item.done,
+      completedAt: item.completedAt,
+      assignee: item.assignee && memberIds.includes(item.assignee.toString()) ? item.assignee : null,
+    })),
+  }));
+
+/**
+ * Copy a task into any board the caller can reach (workspace members of both
+ * the task's and the target board's workspace, or app admin)
+ * Body (all optional):
+ * - board, column: where the copy goes (default the task's board and column)
+ * - title: title of the copy (default the task's title)
+ * - attachments, checklists, assignees: true to copy them too
+ * The copy keeps description, priority, estimate, dates, labels and custom
+ * field values. Assignees who are not members of the target workspace are
+ * dropped and listed in `dropped.assignees`.
+ */
+export const copyTask = async (req, res) => {
+  try {
+    const {
+      task: source,
+      board: sourceBoard,
+      workspace: sourceWorkspace,
+    } = await getTaskContext(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!sourceBoard) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!sourceWorkspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(sourceWorkspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const { title, attachments, checklists, assignees } = req.body || {};
+    if (title !== undefined && !String(title).trim()) {
+      return res.status(400).json({ msg: 'Title is required' });
+    }
+
+    const target = await loadTargetBoard(req, res, source);
+    if (!target) return;
+
+    const memberIds = memberIdsOf(target.workspace);
+
+    const isMember = (id) => memberIds.includes(id.toString());
+    const assignedTo = assignees ? source.assignedTo.filter(isMember) : [];
+    const droppedAssignees = assignees ? source.assignedTo.filter((id) => !isMember(id)) : [];
+
+    // Handles of people outside the target workspace stay plain text
+    const mentions = await resolveMentions(source.description, target.workspace);
+
+    const copy = new Task({
+      title: title !== undefined ? title : source.title,
+      ...descriptionFields(source.description),
+      mentions,
+      status: target.column.key,
+      column: target.column._id,
+      statusHistory: [statusHistoryEntry(target.column)],
+      order: await rankAtEnd(target.board._id, target.column._id),
+      board: target.board._id,
+      assignedTo,
+      startDate: source.startDate,
+      dueDate: source.dueDate,
+      labels: await copyLabelsToBoard(source.labels, sourceBoard, target.board),
+      customFields: copyCustomFieldsToBoard(source.customFields, sourceBoard, target.board),
+      estimate: source.estimate,
+      ...priorityFields(source.priority),
+      checklists: checklists ? checklistsFor(source.checklists, memberIds) : [],
+      createdBy: req.user.id,
+      watchers: defaultWatchers(req.user.id, assignedTo),
+    });
+
+    if (attachments && source.attachments.length > 0) {
+      copy.attachments = await copyAttachmentFiles(source.attachments, copy._id, req.user.id);
+    }
+
+    let task;
+    try {
+      task = await copy.save();
+    } catch (error) {
+      // Nothing refers to the copied files when the task was not saved
+      await deleteAttachmentFiles(copy.attachments);
+      throw error;
+    }
+    await recordActivity({ task, actor: req.user.id, action: 'created' });
+
+    await task.populate('assignedTo', 'name email');
+    await task.populate('createdBy', 'name email');
+
+    const response = await withTaskDependencies(task);
+    response.copiedFrom = source._id;
+    response.dropped = { assignees: await describeUsers(droppedAssignees) };
+    res.json(response);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Move a task to a board in another workspace (task creator, workspace admin
+ * or app admin of the task's workspace, who must also reach the target board)
+ * Body: { board, column } - column is optional, as in moveTask
+ * Assignees, watchers and checklist item assignees who are not members of the
+ * target workspace are dropped, as are the task's dependencies (they only
+ * link tasks of one workspace). The response lists what was dropped.
+ */
+export const transferTask = async (req, res) => {
+  try {
+    const { task, board: sourceBoard, workspace } = await getTaskContext(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+    if (!sourceBoard) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+    if (!workspace) {
+      return res.status(404).json({ msg: 'Workspace not found' });
+    }
+
+    if (!canAccessWorkspace(workspace, req.user)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+    if (!canDeleteTask(task, workspace, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    if (task.archived) {
+      return res.status(400).json({ msg: 'Task is archived; restore it first' });
+    }
+    if (!req.body?.board) {
+      return res.status(400).json({ msg: 'Board ID is required' });
+    }
+
+    const target = await loadTargetBoard(req, res, task);
+    if (!target) return;
+
+    // Within a workspace, moveTask keeps dependencies and checks blockers
+    if (target.workspace._id.equals(workspace._id)) {
+      return res.status(400).json({ msg: 'Board is in the same workspace; move the task instead' });
+    }
+
+    const memberIds = memberIdsOf(target.workspace);
+    const isMember = (id) => memberIds.includes(id.toString());
+
+    task.checklists.forEach((checklist) => {
+      checklist.items.forEach((item) => {
+        if (item.assignee && !isMember(item.assignee)) item.assignee = null;
+      });
+    });
+
+    // Handles of people outside the target workspace become plain text
+    const mentions = await resolveMentions(task.description, target.workspace);
+    const dependents = await Task.find({ blockedBy: task._id }).select('_id');
+
+    const updateData = {
+      board: target.board._id,
+      column: target.column._id,
+      status: target.column.key,
+      order: await rankAtEnd(target.board._id, target.column._id),
+      labels: await copyLabelsToBoard(task.labels, sourceBoard, target.board),
+      customFields: copyCustomFieldsToBoard(task.customFields, sourceBoard, target.board),
+      assignedTo: task.assignedTo.filter(isMember),
+      watchers: task.watchers.filter(isMember),
+      checklists: task.checklists,
+      mentions,
+      blockedBy: [],
+    };
+
+    const dropped = {
+      assignees: await describeUsers(task.assignedTo.filter((id) => !isMember(id))),
+      watchers: await describeUsers(task.watchers.filter((id) => !isMember(id))),
+      dependencies: [...task.blockedBy, ...dependents.map((t) => t._id)],
+    };
+
+    const update = {
+      $set: updateData,
+      $push: { statusHistory: statusHistoryEntry(target.column) },
+    };
+
+    const changes = diffTask(task, {
+      board: updateData.board,
+      status: updateData.status,
+      assignedTo: updateData.assignedTo,
+      blockedBy: updateData.blockedBy,
+    });
+
+    await Task.updateMany({ blockedBy: task._id }, { $pull: { blockedBy: task._id } });
+
+    const updated = await Task.findByIdAndUpdate(task._id, update, { new: true })
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email');
+
+    await recordActivity({ task: updated, actor: req.user.id, action: 'moved', changes });
+
+    const response = await withTaskDependencies(updated);
+    response.dropped = dropped;
+    res.json(response);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
@@ -0,0 +1,73 @@
+import Task from '../models/task.model.js';
+import { getTaskContext, canAccessWorkspace } from '../utils/access.utils.js';
+
+/**
+ * Load the task for a watch request; any workspace member may watch.
+ * Sends the error response and returns null when the request cannot continue.
+ */
+const loadWatchableTask = async (req, res) => {
+  const { task, board, workspace } = await getTaskContext(req.params.id);
+
+  if (!task) {
+    res.status(404).json({ msg: 'Task not found' });
+    return null;
+  }
+  if (!board) {
+    res.status(404).json({ msg: 'Board not found' });
+    return null;
+  }
+  if (!workspace) {
+    res.status(404).json({ msg: 'Workspace not found' });
+    return null;
+  }
+
+  if (!canAccessWorkspace(workspace, req.user)) {
+    res.status(403).json({ msg: 'Access denied' });
+    return null;
+  }
+
+  return task;
+};
+
+/**
+ * Apply a watchers update and respond with the watchers
+ */
+const updateWatchers = async (task, update, req, res) => {
+  const updated = await Task.findByIdAndUpdate(task._id, update, { new: true })
+    .populate('watchers', 'name email');
+
+  res.json({
+    watching: updated.watchers.some((w) => w._id.toString() === req.user.id),
+    watchers: updated.watchers,
+  });
+};
+
+/**
+ * Start watching a task (any workspace member)
+ */
+export const watchTask = async (req, res) => {
+  try {
+    const task = await loadWatchableTask(req, res);
+    if (!task) return;
+
+    await updateWatchers(task, { $addToSet: { watchers: req.user.id } }, req, res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Stop watching a task
+ */
+export const unwatchTask = async (req, res) => {
+  try {
+    const task = await loadWatchableTask(req, res);
+    if (!task) return;
+
+    await updateWatchers(task, { $pull: { watchers: req.user.id } }, req, res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
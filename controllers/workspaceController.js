@@ -1,5 +1,8 @@
 import Workspace from '../models/workspace.model.js';
 import Board from '../models/board.model.js';
+import Column from '../models/column.model.js';
+import TaskTemplate from '../models/taskTemplate.model.js';
+import { descriptionFields } from '../utils/markdown.utils.js';
 
 /**
  * Get all workspaces where user is a member
@@ -58,7 +61,7 @@ export const createWorkspace = async (req, res) => {
 
     const workspace = new Workspace({
       name,
-      description,
+      ...descriptionFields(description),
       createdBy: req.user.id,
       members: [
         {
@@ -105,7 +108,7 @@ export const updateWorkspace = async (req, res) => {
     }
 
     workspace.name = name || workspace.name;
-    workspace.description = description || workspace.description;
+    if (description) Object.assign(workspace, descriptionFields(description));
 
     await workspace.save();
     await workspace.populate('createdBy', 'name email');
@@ -141,8 +144,11 @@ export const deleteWorkspace = async (req, res) => {
       return res.status(403).json({ msg: 'Not authorized' });
     }
 
-    // Delete all boards in this workspace
+    // Delete all boards in this workspace, with their columns
+    const boards = await Board.find({ workspace: workspace._id }).select('_id');
+    await Column.deleteMany({ board: { $in: boards.map((b) => b._id) } });
     await Board.deleteMany({ workspace: workspace._id });
+    await TaskTemplate.deleteMany({ workspace: workspace._id });
 
     await Workspace.findByIdAndDelete(req.params.id);
 
@@ -0,0 +1,137 @@
+import Task from '../models/task.model.js';
+import User from '../models/user.model.js';
+import TaskNotification from '../models/taskNotification.model.js';
+import Workspace from '../models/workspace.model.js';
+import { canAccessWorkspace } from '../utils/access.utils.js';
+import { describeEvent } from '../utils/notification.utils.js';
+import { sendTaskUpdateDigest } from '../utils/emailService.js';
+
+/**
+ * Create the watcher notification job.
+ *
+ * Changes to a task are batched (see queueTaskNotification). Every run sends
+ * the batches of tasks that have had no changes for `quietMs`, or that have
+ * waited `maxWaitMs` since their first change, as one email per watcher.
+ * Watchers are not emailed about batches made only of their own changes, nor
+ * once they have lost access to the task's workspace.
+ *
+ * @param {Object} options
+ * @param {number} options.quietMs - Time without changes before a batch is sent
+ * @param {number} options.maxWaitMs - Longest a batch waits while changes keep coming
+ * @param {Function} options.now - Clock, returns the current Date
+ * @param {Function} options.sendDigest - Sends one email (see sendTaskUpdateDigest)
+ * @param {number} options.intervalMs - How often start() runs the job
+ */
+export const createNotificationJob = ({
+  quietMs = Number(process.env.NOTIFY_QUIET_MS) || 2 * 60 * 1000,
+  maxWaitMs = Number(process.env.NOTIFY_MAX_WAIT_MS) || 15 * 60 * 1000,
+  now = () => new Date(),
+  sendDigest = sendTaskUpdateDigest,
+  intervalMs = Number(process.env.NOTIFY_INTERVAL_MS) || 30 * 1000,
+} = {}) => {
+  let timer = null;
+  let running = false;
+
+  /**
+   * Send one claimed batch. Returns the number of emails sent.
+   */
+  const sendBatch = async (batch) => {
+    const task = await Task.findById(batch.task)
+      .populate('watchers', 'name email role')
+      .populate('board', 'title workspace');
+    if (!task) return 0;
+
+    const workspace = task.board && (await Workspace.findById(task.board.workspace));
+    if (!workspace) return 0;
+
+    const actorIds = [...new Set(batch.events.map((e) => e.actor.toString()))];
+    const actors = await User.find({ _id: { $in: actorIds } }).select('name');
+    const actorNames = new Map(actors.map((a) => [a._id.toString(), a.name]));
+
+    const lines = batch.events.flatMap((event) =>
+      describeEvent(event, actorNames.get(event.actor.toString()) || 'Someone')
+    );
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const boardId = task.board?._id || task.board;
+    let sent = 0;
+
+    for (const watcher of task.watchers) {
+      if (!watcher?.email) continue;
+      if (!canAccessWorkspace(workspace, watcher)) continue;
+      if (actorIds.length === 1 && actorIds[0] === watcher._id.toString()) continue;
+
+      const result = await sendDigest(
+        watcher.email,
+        watcher.name || 'User',
+        task.title,
+        task.board?.title || 'Board',
+        lines,
+        `${frontendUrl}/board/${boardId}`
+      );
+      if (result?.success) sent++;
+    }
+
+    return sent;
+  };
+
+  /**
+   * Send every batch that is ready. Returns the number of emails sent.
+   */
+  const runOnce = async () => {
+    const currentTime = now().getTime();
+
+    const ready = await TaskNotification.find({
+      pending: true,
+      $or: [
+        { lastEventAt: { $lte: new Date(currentTime - quietMs) } },
+        { firstEventAt: { $lte: new Date(currentTime - maxWaitMs) } },
+      ],
+    }).select('_id');
+
+    let sent = 0;
+
+    for (const { _id } of ready) {
+      // Claim the batch; changes made after this start a new batch
+      const batch = await TaskNotification.findOneAndUpdate(
+        { _id, pending: true },
+        { $set: { pending: false, sentAt: new Date(currentTime) } },
+        { new: true }
+      );
+      if (!batch) continue;
+
+      try {
+        sent += await sendBatch(batch);
+      } catch (error) {
+        console.error(`Could not send notifications for task ${batch.task}:`, error.message);
+      }
+    }
+
+    return sent;
+  };
+
+  // Skip a tick while the previous run is still going
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runOnce();
+    } catch (error) {
+      console.error('Notification job failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { runOnce, start, stop };
+};
@@ -0,0 +1,82 @@
+import Task from '../models/task.model.js';
+import { createNextOccurrence } from '../utils/recurrence.utils.js';
+import { doneColumnStages } from '../utils/column.utils.js';
+
+/**
+ * Create the recurring task job.
+ *
+ * Every run creates the next occurrence of each recurring task that was
+ * completed (moved to a done column) or whose scheduled date (due date, else
+ * start date) has arrived. Each occurrence is created at most once, even
+ * when several server instances run the job.
+ *
+ * @param {Object} options
+ * @param {Function} options.now - Clock, returns the current Date
+ * @param {number} options.intervalMs - How often start() runs the job
+ */
+export const createRecurrenceJob = ({
+  now = () => new Date(),
+  intervalMs = Number(process.env.RECURRENCE_INTERVAL_MS) || 60 * 1000,
+} = {}) => {
+  let timer = null;
+  let running = false;
+
+  /**
+   * Create every next occurrence that is due. Returns the number created.
+   */
+  const runOnce = async () => {
+    const currentTime = now();
+
+    const dueTasks = await Task.aggregate([
+      { $match: { 'recurrence.nextCreated': false, archived: { $ne: true } } },
+      ...doneColumnStages(),
+      {
+        $match: {
+          $or: [
+            { inDoneColumn: true },
+            { dueDate: { $lte: currentTime } },
+            { dueDate: null, startDate: { $lte: currentTime } },
+          ],
+        },
+      },
+    ]);
+    const tasks = dueTasks.map((doc) => Task.hydrate(doc));
+
+    let created = 0;
+
+    for (const task of tasks) {
+      try {
+        if (await createNextOccurrence(task, currentTime)) created++;
+      } catch (error) {
+        console.error(`Could not create next occurrence of task ${task._id}:`, error.message);
+      }
+    }
+
+    return created;
+  };
+
+  // Skip a tick while the previous run is still going
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runOnce();
+    } catch (error) {
+      console.error('Recurrence job failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { runOnce, start, stop };
+};
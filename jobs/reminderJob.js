@@ -0,0 +1,146 @@
+import Task from '../models/task.model.js';
+import { sendDueDateReminder } from '../utils/emailService.js';
+import { doneColumnStages } from '../utils/column.utils.js';
+
+// Minutes before the due time at which assignees are reminded (1 day, 1 hour)
+export const DEFAULT_REMINDER_OFFSETS = [24 * 60, 60];
+
+/**
+ * Parse a comma separated list of minute offsets, e.g. "1440,60"
+ */
+export const parseReminderOffsets = (value) => {
+  if (!value) return DEFAULT_REMINDER_OFFSETS;
+
+  const offsets = String(value)
+    .split(',')
+    .map((part) => Number(part.trim()))
+    .filter((offset) => Number.isFinite(offset) && offset > 0);
+
+  return offsets.length > 0 ? offsets : DEFAULT_REMINDER_OFFSETS;
+};
+
+/**
+ * Create the due date reminder job.
+ *
+ * Every run emails the assignees of open tasks whose reminder time
+ * (dueDate - offset) has passed. Sent offsets are recorded on the task
+ * before emailing, so a reminder is never sent twice, even when several
+ * server instances run the job.
+ *
+ * @param {Object} options
+ * @param {number[]} options.offsets - Minutes before the due time to remind at
+ * @param {Function} options.now - Clock, returns the current Date
+ * @param {Function} options.sendReminder - Sends one reminder email (see sendDueDateReminder)
+ * @param {number} options.intervalMs - How often start() runs the job
+ */
+export const createReminderJob = ({
+  offsets = parseReminderOffsets(process.env.REMINDER_OFFSETS_MINUTES),
+  now = () => new Date(),
+  sendReminder = sendDueDateReminder,
+  intervalMs = Number(process.env.REMINDER_INTERVAL_MS) || 60 * 1000,
+} = {}) => {
+  const sortedOffsets = [...offsets].sort((a, b) => b - a);
+  const maxOffsetMs = sortedOffsets[0] * 60 * 1000;
+  let timer = null;
+  let running = false;
+
+  /**
+   * Send every reminder that is due. Returns the number of emails sent.
+   */
+  const runOnce = async () => {
+    const currentTime = now().getTime();
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    const dueTasks = await Task.aggregate([
+      {
+        $match: {
+          dueDate: {
+            $gt: new Date(currentTime),
+            $lte: new Date(currentTime + maxOffsetMs),
+          },
+          archived: { $ne: true },
+          'assignedTo.0': { $exists: true },
+        },
+      },
+      // Tasks in a done column need no reminder
+      ...doneColumnStages(),
+      { $match: { inDoneColumn: false } },
+    ]);
+
+    const tasks = dueTasks.map((doc) => Task.hydrate(doc));
+    await Task.populate(tasks, [
+      { path: 'assignedTo', select: 'name email' },
+      { path: 'board', select: 'title' },
+    ]);
+
+    let sent = 0;
+
+    for (const task of tasks) {
+      const dueTime = task.dueDate.getTime();
+      const dueOffsets = sortedOffsets.filter(
+        (offset) =>
+          dueTime - offset * 60 * 1000 <= currentTime &&
+          !task.remindersSent.includes(offset)
+      );
+
+      if (dueOffsets.length === 0) continue;
+
+      // Claim the offsets first; if another run got there first, skip.
+      // When several offsets have passed at once only one email goes out.
+      const claim = await Task.updateOne(
+        {
+          _id: task._id,
+          dueDate: task.dueDate,
+          remindersSent: { $nin: dueOffsets },
+        },
+        { $addToSet: { remindersSent: { $each: dueOffsets } } }
+      );
+
+      if (claim.modifiedCount !== 1) continue;
+
+      const boardId = task.board?._id || task.board;
+      const boardUrl = `${frontendUrl}/board/${boardId}`;
+
+      for (const assignee of task.assignedTo) {
+        if (!assignee?.email) continue;
+
+        const result = await sendReminder(
+          assignee.email,
+          assignee.name || 'User',
+          task.title,
+          task.board?.title || 'Board',
+          task.dueDate,
+          boardUrl
+        );
+        if (result?.success) sent++;
+      }
+    }
+
+    return sent;
+  };
+
+  // Skip a tick while the previous run is still going
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runOnce();
+    } catch (error) {
+      console.error('Reminder job failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { runOnce, start, stop };
+};
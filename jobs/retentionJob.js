@@ -0,0 +1,74 @@
+import Task from '../models/task.model.js';
+import { purgeTask } from '../utils/task.utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create the archive retention job.
+ *
+ * Every run permanently deletes tasks (with their attachments, comments and
+ * activity) that have been archived for longer than the retention period.
+ *
+ * @param {Object} options
+ * @param {number} options.retentionDays - Days an archived task is kept
+ * @param {Function} options.now - Clock, returns the current Date
+ * @param {number} options.intervalMs - How often start() runs the job
+ */
+export const createRetentionJob = ({
+  retentionDays = Number(process.env.ARCHIVE_RETENTION_DAYS) || 30,
+  now = () => new Date(),
+  intervalMs = Number(process.env.RETENTION_INTERVAL_MS) || 60 * 60 * 1000,
+} = {}) => {
+  let timer = null;
+  let running = false;
+
+  /**
+   * Purge every task archived before the cutoff. Returns the number purged.
+   */
+  const runOnce = async () => {
+    const cutoff = new Date(now().getTime() - retentionDays * DAY_MS);
+
+    const tasks = await Task.find({
+      archived: true,
+      archivedAt: { $lte: cutoff },
+    }).select('_id attachments');
+
+    let purged = 0;
+
+    for (const task of tasks) {
+      try {
+        await purgeTask(task);
+        purged++;
+      } catch (error) {
+        console.error(`Could not purge archived task ${task._id}:`, error.message);
+      }
+    }
+
+    return purged;
+  };
+
+  // Skip a tick while the previous run is still going
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runOnce();
+    } catch (error) {
+      console.error('Retention job failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { runOnce, start, stop };
+};
@@ -0,0 +1,81 @@
+/**
+ * Migration Script: Move single attachment URLs into the attachments array
+ * 
+ * This script will:
+ * 1. Find tasks that still have the old `attachment` string field
+ * 2. Add it to `attachments` with the metadata that can be recovered from the URL
+ * 3. Remove the old `attachment` field
+ * 
+ * Safe to run more than once.
+ * 
+ * Usage: node migrations/migrate-attachments.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Task from '../models/task.model.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/Kanban-Trello';
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration...');
+    
+    // Connect to MongoDB
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    console.log('\n📎 Migrating task attachments...');
+
+    // The old field is no longer in the schema, so read the raw documents
+    const tasks = await Task.collection
+      .find({ attachment: { $exists: true } })
+      .toArray();
+
+    let migratedTasks = 0;
+
+    for (const task of tasks) {
+      const update = { $unset: { attachment: '' } };
+
+      if (typeof task.attachment === 'string' && task.attachment) {
+        const filename = decodeURIComponent(task.attachment.split('/').pop().split('?')[0]);
+
+        update.$push = {
+          attachments: {
+            _id: new mongoose.Types.ObjectId(),
+            url: task.attachment,
+            storage: 'cloudinary',
+            key: null, // The Cloudinary driver falls back to the URL
+            filename,
+            mimeType: null,
+            size: null,
+            uploadedBy: task.createdBy,
+            uploadedAt: task.updatedAt || task.createdAt || new Date(),
+          },
+        };
+        migratedTasks++;
+      }
+
+      await Task.collection.updateOne({ _id: task._id }, update);
+      console.log(`  ✅ Updated task ${task._id}`);
+    }
+    
+    console.log(`\n✅ Migration completed!`);
+    console.log(`   - Tasks checked: ${tasks.length}`);
+    console.log(`   - Attachments migrated: ${migratedTasks}`);
+    
+    await mongoose.disconnect();
+    console.log('\n✅ Disconnected from MongoDB');
+    process.exit(0);
+    
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrate();
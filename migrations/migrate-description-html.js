@@ -0,0 +1,67 @@
+/**
+ * Migration Script: Render existing descriptions as sanitized HTML
+ * 
+ * This script will:
+ * 1. Find workspaces, boards and tasks without a `descriptionHtml`
+ * 2. Render their Markdown description to sanitized HTML
+ * 
+ * Safe to run more than once.
+ * 
+ * Usage: node migrations/migrate-description-html.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Workspace from '../models/workspace.model.js';
+import Board from '../models/board.model.js';
+import Task from '../models/task.model.js';
+import { renderMarkdown } from '../utils/markdown.utils.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/Kanban-Trello';
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration...');
+    
+    // Connect to MongoDB
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    console.log('\n📝 Rendering descriptions...');
+
+    const counts = {};
+    for (const [name, Model] of [['Workspaces', Workspace], ['Boards', Board], ['Tasks', Task]]) {
+      const documents = await Model.collection
+        .find({ descriptionHtml: { $exists: false } })
+        .project({ description: 1 })
+        .toArray();
+
+      for (const document of documents) {
+        await Model.collection.updateOne(
+          { _id: document._id },
+          { $set: { descriptionHtml: renderMarkdown(document.description) } }
+        );
+      }
+      counts[name] = documents.length;
+    }
+    
+    console.log(`\n✅ Migration completed!`);
+    for (const [name, count] of Object.entries(counts)) {
+      console.log(`   - ${name} updated: ${count}`);
+    }
+    
+    await mongoose.disconnect();
+    console.log('\n✅ Disconnected from MongoDB');
+    process.exit(0);
+    
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrate();
@@ -0,0 +1,52 @@
+/**
+ * Migration Script: Give existing tasks the default priority
+ * 
+ * This script will:
+ * 1. Find tasks created before priorities existed (no `priority` field)
+ * 2. Set them to the default priority and its sort position
+ * 
+ * Safe to run more than once.
+ * 
+ * Usage: node migrations/migrate-priority.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Task from '../models/task.model.js';
+import { DEFAULT_PRIORITY, priorityFields } from '../utils/priority.utils.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/Kanban-Trello';
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration...');
+    
+    // Connect to MongoDB
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    console.log('\n🚩 Setting task priorities...');
+
+    const result = await Task.collection.updateMany(
+      { priority: { $exists: false } },
+      { $set: priorityFields(DEFAULT_PRIORITY) }
+    );
+    
+    console.log(`\n✅ Migration completed!`);
+    console.log(`   - Tasks updated: ${result.modifiedCount}`);
+    
+    await mongoose.disconnect();
+    console.log('\n✅ Disconnected from MongoDB');
+    process.exit(0);
+    
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrate();
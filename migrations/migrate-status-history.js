@@ -0,0 +1,109 @@
+/**
+ * Migration Script: Build the status history of existing tasks
+ * 
+ * This script will:
+ * 1. Find tasks without a status history
+ * 2. Rebuild it from the status changes in the task's activity log
+ * 3. Fall back to a single entry for the current column (dated at creation,
+ *    or at the last update for tasks that are done)
+ * 
+ * Safe to run more than once.
+ * 
+ * Usage: node migrations/migrate-status-history.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Board from '../models/board.model.js';
+import Task from '../models/task.model.js';
+import Activity from '../models/activity.model.js';
+import { getBoardColumns } from '../utils/column.utils.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/Kanban-Trello';
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration...');
+    
+    // Connect to MongoDB
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const boards = await Board.find({});
+    let updatedTasks = 0;
+    let fromActivity = 0;
+
+    console.log('\n📈 Building task status histories...');
+
+    for (const board of boards) {
+      const columns = await getBoardColumns(board._id);
+      const columnsByKey = new Map(columns.map((c) => [c.key, c]));
+      const columnsById = new Map(columns.map((c) => [c._id.toString(), c]));
+
+      const tasks = await Task.find({
+        board: board._id,
+        $or: [{ statusHistory: { $exists: false } }, { statusHistory: { $size: 0 } }],
+      }).select('status column createdAt updatedAt');
+
+      for (const task of tasks) {
+        const current = columnsById.get(String(task.column)) || columnsByKey.get(task.status);
+        const entry = (key, at) => {
+          const column = columnsByKey.get(key) || current;
+          return {
+            column: column?._id,
+            status: column?.key || key,
+            done: Boolean(column?.isDone),
+            at,
+          };
+        };
+
+        const activities = await Activity.find({ task: task._id, 'changes.field': 'status' })
+          .sort({ createdAt: 1 })
+          .lean();
+
+        // Changes recorded without a before/after value can't be replayed
+        const statusChanges = activities
+          .map((a) => {
+            const { before, after } = a.changes.find((c) => c.field === 'status') || {};
+            return { before, after, at: a.createdAt };
+          })
+          .filter((c) => c.after !== undefined && c.after !== null);
+
+        let history;
+        if (statusChanges.length > 0 && statusChanges[0].before) {
+          history = [
+            entry(statusChanges[0].before, task.createdAt),
+            ...statusChanges.map((c) => entry(c.after, c.at)),
+          ];
+          fromActivity++;
+        } else {
+          history = [entry(task.status, current?.isDone ? task.updatedAt : task.createdAt)];
+        }
+
+        await Task.collection.updateOne({ _id: task._id }, { $set: { statusHistory: history } });
+        updatedTasks++;
+      }
+
+      console.log(`  ✅ Board ${board._id}: ${tasks.length} tasks`);
+    }
+    
+    console.log(`\n✅ Migration completed!`);
+    console.log(`   - Boards processed: ${boards.length}`);
+    console.log(`   - Tasks updated: ${updatedTasks}`);
+    console.log(`   - Rebuilt from activity: ${fromActivity}`);
+    
+    await mongoose.disconnect();
+    console.log('\n✅ Disconnected from MongoDB');
+    process.exit(0);
+    
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrate();
@@ -0,0 +1,76 @@
+/**
+ * Migration Script: Move tasks from the fixed status enum to board columns
+ * 
+ * This script will:
+ * 1. Create the default columns (To Do, In Progress, Completed) for every board without columns
+ * 2. Point every task at the column matching its old status value
+ * 3. Put tasks with an unknown status into the board's first column
+ * 
+ * Safe to run more than once.
+ * 
+ * Usage: node migrations/migrate-to-columns.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Board from '../models/board.model.js';
+import Task from '../models/task.model.js';
+import { getBoardColumns } from '../utils/column.utils.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/Kanban-Trello';
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration...');
+    
+    // Connect to MongoDB
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const boards = await Board.find({});
+    let updatedTasks = 0;
+
+    console.log('\n📋 Creating columns and mapping task statuses...');
+
+    for (const board of boards) {
+      // Creates the default columns if the board has none
+      const columns = await getBoardColumns(board._id);
+      const fallback = columns[0];
+
+      for (const column of columns) {
+        const result = await Task.updateMany(
+          { board: board._id, status: column.key, column: { $exists: false } },
+          { $set: { column: column._id } }
+        );
+        updatedTasks += result.modifiedCount;
+      }
+
+      // Anything left over had a status without a matching column
+      const result = await Task.updateMany(
+        { board: board._id, column: { $exists: false } },
+        { $set: { column: fallback._id, status: fallback.key } }
+      );
+      updatedTasks += result.modifiedCount;
+
+      console.log(`  ✅ Board ${board._id}: ${columns.length} columns`);
+    }
+    
+    console.log(`\n✅ Migration completed!`);
+    console.log(`   - Boards processed: ${boards.length}`);
+    console.log(`   - Tasks updated: ${updatedTasks}`);
+    
+    await mongoose.disconnect();
+    console.log('\n✅ Disconnected from MongoDB');
+    process.exit(0);
+    
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrate();
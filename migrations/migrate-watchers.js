@@ -0,0 +1,60 @@
+/**
+ * Migration Script: Add creators and assignees as task watchers
+ * 
+ * This script will:
+ * 1. Find tasks created before watchers existed (no `watchers` field)
+ * 2. Set their watchers to the task creator and assignees
+ * 
+ * Safe to run more than once.
+ * 
+ * Usage: node migrations/migrate-watchers.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Task from '../models/task.model.js';
+import { defaultWatchers } from '../utils/notification.utils.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/Kanban-Trello';
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration...');
+    
+    // Connect to MongoDB
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    console.log('\n👀 Adding task watchers...');
+
+    const tasks = await Task.collection
+      .find({ watchers: { $exists: false } })
+      .project({ createdBy: 1, assignedTo: 1 })
+      .toArray();
+
+    for (const task of tasks) {
+      const watchers = defaultWatchers(task.createdBy, task.assignedTo || [])
+        .map((id) => new mongoose.Types.ObjectId(id));
+
+      await Task.collection.updateOne({ _id: task._id }, { $set: { watchers } });
+      console.log(`  ✅ Updated task ${task._id}`);
+    }
+    
+    console.log(`\n✅ Migration completed!`);
+    console.log(`   - Tasks updated: ${tasks.length}`);
+    
+    await mongoose.disconnect();
+    console.log('\n✅ Disconnected from MongoDB');
+    process.exit(0);
+    
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrate();
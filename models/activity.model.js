@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const activitySchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true,
+    },
+    board: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Board',
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['created', 'updated', 'status_changed', 'moved', 'archived', 'restored'],
+      required: true,
+    },
+    changes: [changeSchema],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Index for faster queries
+activitySchema.index({ task: 1, createdAt: -1 });
+
+// Activity entries are immutable: they can be created (and removed with
+// their task), never changed
+const rejectChange = function () {
+  throw new Error('Activity entries cannot be modified');
+};
+
+activitySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+activitySchema.pre('save', function () {
+  if (!this.isNew) rejectChange();
+});
+
+const Activity = mongoose.model('Activity', activitySchema);
+export default Activity;
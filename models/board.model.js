@@ -1,4 +1,39 @@
 import mongoose from 'mongoose';
+import { CUSTOM_FIELD_TYPES } from '../utils/customField.utils.js';
+
+const labelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  color: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+});
+
+// A typed field tasks on the board can fill in; `options` are the choices of a select field
+const customFieldSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: CUSTOM_FIELD_TYPES,
+    required: true,
+  },
+  options: [
+    {
+      type: String,
+      trim: true,
+    },
+  ],
+});
 
 const boardSchema = new mongoose.Schema(
   {
@@ -10,6 +45,11 @@ const boardSchema = new mongoose.Schema(
     description: {
       type: String,
     },
+    // Sanitized HTML rendering of the Markdown description
+    descriptionHtml: {
+      type: String,
+      default: '',
+    },
     workspace: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Workspace',
@@ -26,6 +66,32 @@ const boardSchema = new mongoose.Schema(
         ref: 'User',
       },
     ],
+    labels: [labelSchema],
+    customFields: [customFieldSchema],
+    // Default order of the task listing: by rank, or by priority then rank
+    sortMode: {
+      type: String,
+      enum: ['rank', 'priority'],
+      default: 'rank',
+    },
+    // Unit of task estimates on this board
+    estimateUnit: {
+      type: String,
+      enum: ['points', 'hours'],
+      default: 'points',
+    },
+    // What happens when a task is moved into a column at its WIP limit
+    wipEnforcement: {
+      type: String,
+      enum: ['reject', 'warn'],
+      default: 'reject',
+    },
+    // What happens when a task with open blockers is moved to a done column
+    blockedCompletion: {
+      type: String,
+      enum: ['reject', 'warn'],
+      default: 'reject',
+    },
   },
   {
     timestamps: true,
@@ -37,5 +103,8 @@ boardSchema.index({ workspace: 1 });
 boardSchema.index({ owner: 1 });
 boardSchema.index({ members: 1 });
 
+// Full-text search over board titles
+boardSchema.index({ title: 'text' }, { name: 'board_text' });
+
 const Board = mongoose.model('Board', boardSchema);
 export default Board;
\ No newline at end of file
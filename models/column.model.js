@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const columnSchema = new mongoose.Schema(
+  {
+    board: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Board',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Stable identifier stored on tasks as `status` (survives renames)
+    key: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    // Tasks in a "done" column count as completed
+    isDone: {
+      type: Boolean,
+      default: false,
+    },
+    // Most tasks the column should hold at once (null for no limit)
+    wipLimit: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for faster queries
+columnSchema.index({ board: 1, order: 1 });
+
+// Column keys are unique per board
+columnSchema.index({ board: 1, key: 1 }, { unique: true });
+
+const Column = mongoose.model('Column', columnSchema);
+export default Column;
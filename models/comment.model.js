@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+const mentionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // The text as written, e.g. "@jane" or "@jane@example.com"
+    handle: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const commentSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Workspace members @mentioned in the body
+    mentions: [mentionSchema],
+    // Top-level comment this is a reply to (replies nest one level deep)
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for faster queries
+commentSchema.index({ task: 1, createdAt: 1 });
+commentSchema.index({ parent: 1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+export default Comment;
@@ -1,4 +1,164 @@
 import mongoose from 'mongoose';
+import { PRIORITIES, DEFAULT_PRIORITY } from '../utils/priority.utils.js';
+
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  done: {
+    type: Boolean,
+    default: false,
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+const attachmentSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+  },
+  // Storage driver holding the file and the file's key in it
+  storage: {
+    type: String,
+    default: 'cloudinary',
+  },
+  key: {
+    type: String,
+    default: null,
+  },
+  filename: {
+    type: String,
+  },
+  mimeType: {
+    type: String,
+  },
+  size: {
+    type: Number,
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const mentionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // The text as written, e.g. "@jane" or "@jane@example.com"
+    handle: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Value of one of the board's custom fields, stored as the field's type
+// (string, number, date or boolean)
+const customFieldValueSchema = new mongoose.Schema(
+  {
+    field: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { _id: false }
+);
+
+// Items are kept in display order
+const checklistSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  items: [checklistItemSchema],
+});
+
+// A column the task entered; `done` is the column's done flag at that time
+const statusChangeSchema = new mongoose.Schema(
+  {
+    column: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Column',
+    },
+    status: {
+      type: String,
+    },
+    done: {
+      type: Boolean,
+      default: false,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Repeat rule of a recurring task. Every occurrence carries the rule, the
+// series it belongs to (the first task's id) and its number in the series.
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly'],
+      required: true,
+    },
+    // Repeat every `interval` days, weeks or months
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    // Total number of occurrences, including the first
+    count: {
+      type: Number,
+      default: null,
+    },
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true,
+    },
+    occurrence: {
+      type: Number,
+      default: 1,
+    },
+    // Set once the next occurrence exists (or the series has ended)
+    nextCreated: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -9,11 +169,24 @@ const taskSchema = new mongoose.Schema({
   description: {
     type: String,
   },
+  // Sanitized HTML rendering of the Markdown description
+  descriptionHtml: {
+    type: String,
+    default: '',
+  },
+  // Workspace members @mentioned in the description
+  mentions: [mentionSchema],
+  // Key of the column the task is in (kept alongside `column` for filtering)
   status: {
     type: String,
-    enum: ['todo', 'in_progress', 'completed'],
     default: 'todo',
   },
+  column: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Column',
+  },
+  // Every column the task entered, oldest first (used for burndown charts)
+  statusHistory: [statusChangeSchema],
   board: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Board',
@@ -30,15 +203,95 @@ const taskSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
-  attachment: {
-    type: String,
-  },
+  attachments: [attachmentSchema],
   order: {
     type: Number,
     default: 0,
   },
+  checklists: [checklistSchema],
+  priority: {
+    type: String,
+    enum: PRIORITIES,
+    default: DEFAULT_PRIORITY,
+  },
+  // Position of `priority` in PRIORITIES (0 = urgent), kept for sorting
+  priorityOrder: {
+    type: Number,
+    default: PRIORITIES.indexOf(DEFAULT_PRIORITY),
+  },
+  // Story points or hours, following the board's estimateUnit
+  estimate: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+  // IDs of labels from the board's label set
+  labels: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+  ],
+  // Values of the board's custom fields; fields without a value are left out
+  customFields: [customFieldValueSchema],
+  startDate: {
+    type: Date,
+    default: null,
+  },
+  dueDate: {
+    type: Date,
+    default: null,
+  },
+  // Users notified when the task changes (creator and assignees by default)
+  watchers: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  ],
+  // Tasks in the same workspace that must be done before this one
+  blockedBy: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+    },
+  ],
+  // Archived tasks are hidden from listings until restored or purged
+  archived: {
+    type: Boolean,
+    default: false,
+  },
+  archivedAt: {
+    type: Date,
+    default: null,
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null,
+  },
+  // Reminder offsets (minutes before dueDate) already emailed for the current dueDate
+  remindersSent: [
+    {
+      type: Number,
+    },
+  ],
 }, {
   timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Done/total count of checklist items, shown on the card
+taskSchema.virtual('checklistProgress').get(function () {
+  const items = (this.checklists || []).flatMap((checklist) => checklist.items);
+  return {
+    done: items.filter((item) => item.done).length,
+    total: items.length,
+  };
 });
 
 // Index for faster queries
@@ -46,6 +299,24 @@ taskSchema.index({ board: 1 });
 taskSchema.index({ assignedTo: 1 });
 taskSchema.index({ createdBy: 1 });
 taskSchema.index({ status: 1 });
+taskSchema.index({ board: 1, column: 1 });
+taskSchema.index({ board: 1, priorityOrder: 1, order: 1 });
+taskSchema.index({ dueDate: 1 });
+taskSchema.index({ board: 1, labels: 1 });
+taskSchema.index({ board: 1, 'customFields.field': 1, 'customFields.value': 1 });
+taskSchema.index({ board: 1, archived: 1, archivedAt: -1 });
+taskSchema.index({ blockedBy: 1 });
+// One task per occurrence of a series, so the next one is never created twice
+taskSchema.index(
+  { 'recurrence.series': 1, 'recurrence.occurrence': 1 },
+  { unique: true, partialFilterExpression: { 'recurrence.series': { $exists: true } } }
+);
+
+// Full-text search over title and description (title matches rank higher)
+taskSchema.index(
+  { title: 'text', description: 'text' },
+  { weights: { title: 5, description: 1 }, name: 'task_text' }
+);
 
 const Task = mongoose.model('Task', taskSchema);
 export default Task;
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const eventSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+    },
+    changes: [changeSchema],
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Changes to a task waiting to be sent to its watchers as one email.
+// Each task has at most one pending batch; new changes are added to it.
+const taskNotificationSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true,
+  },
+  events: [eventSchema],
+  pending: {
+    type: Boolean,
+    default: true,
+  },
+  firstEventAt: {
+    type: Date,
+    required: true,
+  },
+  lastEventAt: {
+    type: Date,
+    required: true,
+  },
+  sentAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// Index for faster queries
+taskNotificationSchema.index(
+  { task: 1 },
+  { unique: true, partialFilterExpression: { pending: true } }
+);
+taskNotificationSchema.index({ pending: 1, lastEventAt: 1 });
+
+// Sent batches are kept for a week
+taskNotificationSchema.index({ sentAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const TaskNotification = mongoose.model('TaskNotification', taskNotificationSchema);
+export default TaskNotification;
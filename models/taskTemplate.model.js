@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+// Labels are kept by name and color, since each board has its own label set
+const templateLabelSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    color: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+const templateChecklistSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    items: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+  },
+  { _id: false }
+);
+
+// A reusable starting point for tasks on any board of a workspace
+const taskTemplateSchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Title of created tasks; {title}, {date} and {board} are filled in
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    labels: [templateLabelSchema],
+    checklists: [templateChecklistSchema],
+    // Assigned to created tasks when they are still workspace members
+    assignees: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for faster queries
+taskTemplateSchema.index({ workspace: 1, name: 1 });
+
+const TaskTemplate = mongoose.model('TaskTemplate', taskTemplateSchema);
+export default TaskTemplate;
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Time a user spent on a task, from a timer or entered by hand
+const timeEntrySchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    // Null while the timer is running
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    // Seconds, set when the entry ends
+    duration: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    source: {
+      type: String,
+      enum: ['timer', 'manual'],
+      default: 'timer',
+    },
+    running: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for faster queries
+timeEntrySchema.index({ task: 1, startedAt: -1 });
+timeEntrySchema.index({ user: 1, startedAt: -1 });
+
+// A user has at most one running timer
+timeEntrySchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { running: true }, name: 'one_running_timer' }
+);
+
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema);
+export default TimeEntry;
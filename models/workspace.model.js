@@ -10,6 +10,11 @@ const workspaceSchema = new mongoose.Schema(
     description: {
       type: String,
     },
+    // Sanitized HTML rendering of the Markdown description
+    descriptionHtml: {
+      type: String,
+      default: '',
+    },
     members: [
       {
         user: {
@@ -9,6 +9,26 @@ import {
   deleteBoard,
   sendBoardInvite,
 } from '../controllers/boardController.js';
+import {
+  getColumns,
+  createColumn,
+  updateColumn,
+  reorderColumns,
+  deleteColumn,
+} from '../controllers/columnController.js';
+import {
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+} from '../controllers/labelController.js';
+import {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+} from '../controllers/customFieldController.js';
+import { getBurndown } from '../controllers/burndownController.js';
 
 const router = express.Router();
 
@@ -22,6 +42,24 @@ router.put('/:id', auth, updateBoard);
 router.delete('/:id', auth, deleteBoard);
 // Send board invitation via email
 router.post('/:boardId/invite', auth, sendBoardInvite);
+// Board columns (reorder must come before /:columnId)
+router.get('/:boardId/columns', auth, getColumns);
+router.post('/:boardId/columns', auth, createColumn);
+router.put('/:boardId/columns/reorder', auth, reorderColumns);
+router.put('/:boardId/columns/:columnId', auth, updateColumn);
+router.delete('/:boardId/columns/:columnId', auth, deleteColumn);
+// Board labels
+router.get('/:boardId/labels', auth, getLabels);
+router.post('/:boardId/labels', auth, createLabel);
+router.put('/:boardId/labels/:labelId', auth, updateLabel);
+router.delete('/:boardId/labels/:labelId', auth, deleteLabel);
+// Board custom fields
+router.get('/:boardId/fields', auth, getCustomFields);
+router.post('/:boardId/fields', auth, createCustomField);
+router.put('/:boardId/fields/:fieldId', auth, updateCustomField);
+router.delete('/:boardId/fields/:fieldId', auth, deleteCustomField);
+// Board burndown/burnup data
+router.get('/:boardId/burndown', auth, getBurndown);
 
 export default router;
 
@@ -0,0 +1,9 @@
+import express from 'express';
+import auth from '../middleware/auth.js';
+import { search } from '../controllers/searchController.js';
+
+const router = express.Router();
+
+router.get('/', auth, search);
+
+export default router;
@@ -1,21 +1,91 @@
 import express from 'express';
 import multerImport from 'multer';
 import auth from '../middleware/auth.js';
-import { storage } from '../config/cloudinary.js';
+import path from 'path';
+import { ALLOWED_EXTENSIONS } from '../config/storage/index.js';
+import { MAX_ATTACHMENTS_PER_UPLOAD } from '../utils/attachment.utils.js';
 import {
   getTasksByBoard,
   createTask,
   updateTask,
   updateTaskStatus,
+  moveTask,
   deleteTask,
+  getArchivedTasks,
+  restoreTask,
+  permanentlyDeleteTask,
 } from '../controllers/taskController.js';
+import {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+} from '../controllers/commentController.js';
+import {
+  createChecklist,
+  updateChecklist,
+  deleteChecklist,
+  createChecklistItem,
+  updateChecklistItem,
+  reorderChecklistItems,
+  deleteChecklistItem,
+} from '../controllers/checklistController.js';
+import {
+  addAttachments,
+  deleteAttachment,
+  downloadAttachment,
+} from '../controllers/attachmentController.js';
+import { getTaskActivity } from '../controllers/activityController.js';
+import {
+  getDependencies,
+  addDependency,
+  removeDependency,
+} from '../controllers/dependencyController.js';
+import { watchTask, unwatchTask } from '../controllers/watcherController.js';
+import { copyTask, transferTask } from '../controllers/transferController.js';
+import { bulkUpdateTasks } from '../controllers/bulkController.js';
+import { createTemplateFromTask } from '../controllers/templateController.js';
+import {
+  getTimeEntries,
+  startTimer,
+  addTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+} from '../controllers/timeController.js';
 
 const multer = multerImport.default || multerImport; // support CJS/ESM interop
 
 const router = express.Router();
 
-// Multer config with Cloudinary storage
-const upload = multer({ storage });
+// Multer keeps files in memory; controllers hand them to the storage driver
+// once the request is authorized
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (Number(process.env.MAX_UPLOAD_SIZE_MB) || 10) * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).slice(1).toLowerCase();
+    if (!ALLOWED_EXTENSIONS.includes(extension)) {
+      return cb(new Error(`File type .${extension} is not allowed`));
+    }
+    cb(null, true);
+  },
+});
+
+// Files come in `attachments` (several) or `attachment` (one, older clients)
+const parseAttachments = upload.fields([
+  { name: 'attachment', maxCount: 1 },
+  { name: 'attachments', maxCount: MAX_ATTACHMENTS_PER_UPLOAD },
+]);
+
+// Report rejected uploads (type, size, count) as 400 instead of a server error
+const uploadAttachments = (req, res, next) => {
+  parseAttachments(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ msg: err.message });
+    }
+    next();
+  });
+};
 
 // Middleware to parse FormData arrays
 const parseFormDataArrays = (req, res, next) => {
@@ -25,14 +95,63 @@ const parseFormDataArrays = (req, res, next) => {
       : [req.body['assignedTo[]']];
     delete req.body['assignedTo[]'];
   }
+  if (req.body['labels[]']) {
+    req.body.labels = Array.isArray(req.body['labels[]'])
+      ? req.body['labels[]']
+      : [req.body['labels[]']];
+    delete req.body['labels[]'];
+  }
   next();
 };
 
 router.get('/board/:boardId', auth, getTasksByBoard);
-router.post('/', auth, upload.single('attachment'), parseFormDataArrays, createTask);
-router.put('/:id', auth, upload.single('attachment'), parseFormDataArrays, updateTask);
+router.get('/board/:boardId/archived', auth, getArchivedTasks);
+router.post('/', auth, uploadAttachments, parseFormDataArrays, createTask);
+// Apply one change to many tasks
+router.post('/bulk', auth, bulkUpdateTasks);
+router.put('/:id', auth, uploadAttachments, parseFormDataArrays, updateTask);
 router.patch('/:id/status', auth, updateTaskStatus);
+router.patch('/:id/move', auth, moveTask);
 router.delete('/:id', auth, deleteTask);
+router.patch('/:id/restore', auth, restoreTask);
+router.delete('/:id/permanent', auth, permanentlyDeleteTask);
+// Copy a task, or move it to a board in another workspace
+router.post('/:id/copy', auth, copyTask);
+router.post('/:id/transfer', auth, transferTask);
+// Save a task as a workspace template
+router.post('/:id/template', auth, createTemplateFromTask);
+// Task comments
+router.get('/:id/comments', auth, getComments);
+router.post('/:id/comments', auth, createComment);
+router.put('/:id/comments/:commentId', auth, updateComment);
+router.delete('/:id/comments/:commentId', auth, deleteComment);
+// Task checklists (items/reorder must come before items/:itemId)
+router.post('/:id/checklists', auth, createChecklist);
+router.put('/:id/checklists/:checklistId', auth, updateChecklist);
+router.delete('/:id/checklists/:checklistId', auth, deleteChecklist);
+router.post('/:id/checklists/:checklistId/items', auth, createChecklistItem);
+router.put('/:id/checklists/:checklistId/items/reorder', auth, reorderChecklistItems);
+router.put('/:id/checklists/:checklistId/items/:itemId', auth, updateChecklistItem);
+router.delete('/:id/checklists/:checklistId/items/:itemId', auth, deleteChecklistItem);
+// Task attachments
+router.post('/:id/attachments', auth, uploadAttachments, addAttachments);
+router.get('/:id/attachments/:attachmentId/download', auth, downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', auth, deleteAttachment);
+// Task activity history
+router.get('/:id/activity', auth, getTaskActivity);
+// Task dependencies
+router.get('/:id/dependencies', auth, getDependencies);
+router.post('/:id/dependencies', auth, addDependency);
+router.delete('/:id/dependencies/:blockerId', auth, removeDependency);
+// Task watchers
+router.post('/:id/watch', auth, watchTask);
+router.delete('/:id/watch', auth, unwatchTask);
+// Task time tracking (timers are stopped via /time/stop)
+router.get('/:id/time', auth, getTimeEntries);
+router.post('/:id/time', auth, addTimeEntry);
+router.post('/:id/time/start', auth, startTimer);
+router.put('/:id/time/:entryId', auth, updateTimeEntry);
+router.delete('/:id/time/:entryId', auth, deleteTimeEntry);
 
 export default router;
 
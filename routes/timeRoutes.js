@@ -0,0 +1,11 @@
+import express from 'express';
+import auth from '../middleware/auth.js';
+import { getRunningTimer, stopTimer, getTimeReport } from '../controllers/timeController.js';
+
+const router = express.Router();
+
+router.get('/running', auth, getRunningTimer);
+router.post('/stop', auth, stopTimer);
+router.get('/report', auth, getTimeReport);
+
+export default router;
@@ -10,6 +10,12 @@ import {
   removeMember,
   updateMemberRole,
 } from '../controllers/workspaceController.js';
+import {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+} from '../controllers/templateController.js';
 
 const router = express.Router();
 
@@ -21,6 +27,11 @@ router.delete('/:id', auth, deleteWorkspace);
 router.post('/:id/members', auth, addMember);
 router.delete('/:id/members/:userId', auth, removeMember);
 router.put('/:id/members/:userId/role', auth, updateMemberRole);
+// Task templates
+router.get('/:id/templates', auth, getTemplates);
+router.post('/:id/templates', auth, createTemplate);
+router.put('/:id/templates/:templateId', auth, updateTemplate);
+router.delete('/:id/templates/:templateId', auth, deleteTemplate);
 
 export default router;
 
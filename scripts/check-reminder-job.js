@@ -0,0 +1,139 @@
+/**
+ * Reminder Job Check Script
+ *
+ * Runs the due date reminder job against a scratch database with a fake
+ * clock and an email transport that only captures messages, and checks:
+ * 1. One reminder is sent at each offset (1 day and 1 hour before due)
+ * 2. Running again at the same time sends nothing more
+ * 3. Tasks in a done column or archived get no reminder
+ *
+ * ⚠️ The database is dropped when the check ends. Point it at a scratch
+ * database, never at real data.
+ *
+ * Usage: node scripts/check-reminder-job.js
+ * (REMINDER_CHECK_MONGODB_URI, default mongodb://localhost:27017/Kanban-Trello-reminder-check)
+ */
+
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/user.model.js';
+import Workspace from '../models/workspace.model.js';
+import Board from '../models/board.model.js';
+import Column from '../models/column.model.js';
+import Task from '../models/task.model.js';
+import { createReminderJob } from '../jobs/reminderJob.js';
+import { setEmailTransport } from '../utils/emailService.js';
+
+dotenv.config();
+
+const MONGODB_URI =
+  process.env.REMINDER_CHECK_MONGODB_URI || 'mongodb://localhost:27017/Kanban-Trello-reminder-check';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function check() {
+  try {
+    console.log('🔄 Starting reminder job check...');
+
+    await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+    await mongoose.connection.db.dropDatabase();
+    console.log('✅ Connected to MongoDB');
+
+    // Capture emails instead of sending them
+    const sentEmails = [];
+    setEmailTransport({
+      sendMail: async (message) => {
+        sentEmails.push(message);
+        return { messageId: `check-${sentEmails.length}` };
+      },
+    });
+
+    const start = new Date('2030-01-01T00:00:00Z');
+    const dueDate = new Date(start.getTime() + 48 * HOUR_MS);
+    let clock = start;
+    const job = createReminderJob({ offsets: [24 * 60, 60], now: () => clock });
+
+    const assignee = await User.create({
+      name: 'Open Assignee',
+      email: 'open@example.com',
+      password: 'not-used',
+    });
+    const otherAssignee = await User.create({
+      name: 'Closed Assignee',
+      email: 'closed@example.com',
+      password: 'not-used',
+    });
+    const workspace = await Workspace.create({
+      name: 'Reminder check',
+      createdBy: assignee._id,
+      members: [
+        { user: assignee._id, role: 'admin' },
+        { user: otherAssignee._id, role: 'member' },
+      ],
+    });
+    const board = await Board.create({
+      title: 'Reminder board',
+      workspace: workspace._id,
+      owner: assignee._id,
+      members: [assignee._id, otherAssignee._id],
+    });
+    const [todo, done] = await Column.create([
+      { board: board._id, name: 'To Do', key: 'todo', order: 0 },
+      { board: board._id, name: 'Done', key: 'completed', order: 1, isDone: true },
+    ]);
+
+    const taskFields = { board: board._id, createdBy: assignee._id, dueDate };
+    await Task.create([
+      { ...taskFields, title: 'Open task', column: todo._id, status: todo.key, assignedTo: [assignee._id] },
+      { ...taskFields, title: 'Done task', column: done._id, status: done.key, assignedTo: [otherAssignee._id] },
+      {
+        ...taskFields,
+        title: 'Archived task',
+        column: todo._id,
+        status: todo.key,
+        archived: true,
+        assignedTo: [otherAssignee._id],
+      },
+    ]);
+
+    console.log('\n⏰ Running the job with a fake clock...');
+
+    const runAt = async (hoursBeforeDue) => {
+      clock = new Date(dueDate.getTime() - hoursBeforeDue * HOUR_MS);
+      return job.runOnce();
+    };
+
+    assert.equal(await runAt(25), 0, 'no reminder before the first offset');
+    assert.equal(await runAt(23), 1, 'one reminder a day before');
+    assert.equal(await runAt(23), 0, 'no duplicate of the day before reminder');
+    assert.equal(await runAt(2), 0, 'nothing between the offsets');
+    assert.equal(await runAt(0.5), 1, 'one reminder an hour before');
+    assert.equal(await runAt(0.5), 0, 'no duplicate of the hour before reminder');
+    assert.equal(await runAt(-1), 0, 'no reminder once the task is due');
+    console.log('  ✅ One reminder per offset, no duplicates');
+
+    assert.equal(sentEmails.length, 2);
+    assert.ok(sentEmails.every((email) => email.to === assignee.email));
+    assert.ok(sentEmails.every((email) => email.subject.includes('Open task')));
+    console.log('  ✅ No reminders for done or archived tasks');
+
+    const openTask = await Task.findOne({ title: 'Open task' });
+    assert.deepEqual([...openTask.remindersSent].sort((a, b) => a - b), [60, 24 * 60]);
+    console.log('  ✅ Sent offsets recorded on the task');
+
+    console.log('\n✅ Reminder job check passed!');
+
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.disconnect();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Reminder job check failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run
+check();
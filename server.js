@@ -13,6 +13,14 @@ import boardsRoutes from './routes/boardsRoutes.js';
 import taskRoutes from './routes/taskRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import teamRoutes from './routes/teamRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
+import timeRoutes from './routes/timeRoutes.js';
+
+// Background jobs
+import { createReminderJob } from './jobs/reminderJob.js';
+import { createRetentionJob } from './jobs/retentionJob.js';
+import { createRecurrenceJob } from './jobs/recurrenceJob.js';
+import { createNotificationJob } from './jobs/notificationJob.js';
 
 dotenv.config();
 
@@ -210,6 +218,10 @@ app.use('/api/teams', (req, res, next) => {
 });
 app.use('/api/teams', teamRoutes);
 app.use('/teams', teamRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/search', searchRoutes);
+app.use('/api/time', timeRoutes);
+app.use('/time', timeRoutes);
 
 // Catch-all route for debugging (should be last)
 // Use middleware without path pattern to catch all unmatched routes
@@ -262,4 +274,18 @@ if (process.env.NODE_ENV !== 'production') {
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
+
+  // Background jobs need a long-running process (not started on Vercel)
+  if (process.env.REMINDERS_ENABLED !== 'false') {
+    createReminderJob().start();
+  }
+  if (process.env.RETENTION_ENABLED !== 'false') {
+    createRetentionJob().start();
+  }
+  if (process.env.RECURRENCE_ENABLED !== 'false') {
+    createRecurrenceJob().start();
+  }
+  if (process.env.NOTIFICATIONS_ENABLED !== 'false') {
+    createNotificationJob().start();
+  }
 }
\ No newline at end of file
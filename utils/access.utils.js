@@ -0,0 +1,76 @@
+import Board from '../models/board.model.js';
+import Task from '../models/task.model.js';
+import Workspace from '../models/workspace.model.js';
+
+/**
+ * Load a board and the workspace it belongs to.
+ * Either value is null when it cannot be found.
+ */
+export const getBoardContext = async (boardId) => {
+  const board = await Board.findById(boardId);
+  if (!board) {
+    return { board: null, workspace: null };
+  }
+
+  const workspace = await Workspace.findById(board.workspace);
+  return { board, workspace };
+};
+
+/**
+ * Check if user is a member of the workspace
+ */
+export const isWorkspaceMember = (workspace, user) =>
+  workspace.members.some((m) => m.user.toString() === user.id);
+
+/**
+ * Check if user is an admin of the workspace
+ */
+export const isWorkspaceAdmin = (workspace, user) =>
+  workspace.members.some(
+    (m) => m.user.toString() === user.id && m.role === 'admin'
+  );
+
+/**
+ * Workspace members and app admins can access workspace content
+ */
+export const canAccessWorkspace = (workspace, user) =>
+  isWorkspaceMember(workspace, user) || user.role === 'admin';
+
+/**
+ * Board owner, workspace admin or app admin can manage board structure
+ */
+export const canManageBoard = (board, workspace, user) =>
+  board.owner.toString() === user.id ||
+  isWorkspaceAdmin(workspace, user) ||
+  user.role === 'admin';
+
+/**
+ * Load a task with its board and workspace.
+ * Values are null from the first one that cannot be found.
+ */
+export const getTaskContext = async (taskId) => {
+  const task = await Task.findById(taskId);
+  if (!task) {
+    return { task: null, board: null, workspace: null };
+  }
+
+  const { board, workspace } = await getBoardContext(task.board);
+  return { task, board, workspace };
+};
+
+/**
+ * Task creator, assigned user, workspace admin, or app admin can edit a task
+ */
+export const canEditTask = (task, workspace, user) =>
+  user.role === 'admin' ||
+  task.createdBy.toString() === user.id ||
+  isWorkspaceAdmin(workspace, user) ||
+  task.assignedTo.some((userId) => userId.toString() === user.id);
+
+/**
+ * Task creator, workspace admin, or app admin can delete (archive) a task
+ */
+export const canDeleteTask = (task, workspace, user) =>
+  user.role === 'admin' ||
+  task.createdBy.toString() === user.id ||
+  isWorkspaceAdmin(workspace, user);
@@ -0,0 +1,67 @@
+import Activity from '../models/activity.model.js';
+
+// Task fields recorded in the activity log
+export const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'assignedTo',
+  'board',
+  'startDate',
+  'dueDate',
+  'labels',
+  'blockedBy',
+  'estimate',
+  'priority',
+];
+
+/**
+ * Turn a field value into something comparable and storable
+ * (ids become strings, dates ISO strings, arrays are sorted)
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue).sort();
+  if (value._id) return value._id.toString();
+  if (typeof value === 'object') return value.toString();
+  return value;
+};
+
+/**
+ * List the tracked fields that differ between a task and an update
+ * Returns [{ field, before, after }]
+ */
+export const diffTask = (task, updateData) =>
+  TRACKED_FIELDS.filter((field) => updateData[field] !== undefined)
+    .map((field) => ({
+      field,
+      before: normalizeValue(task[field]),
+      after: normalizeValue(updateData[field]),
+    }))
+    .filter(({ before, after }) => JSON.stringify(before) !== JSON.stringify(after));
+
+// Actions logged even when no tracked field changed
+const STANDALONE_ACTIONS = ['created', 'archived', 'restored'];
+
+/**
+ * Add an entry to a task's activity log.
+ * Updates with no tracked changes are skipped. Failures are logged,
+ * never thrown, so they do not fail the request that made the change.
+ */
+export const recordActivity = async ({ task, actor, action, changes = [] }) => {
+  if (!STANDALONE_ACTIONS.includes(action) && changes.length === 0) return null;
+
+  try {
+    return await Activity.create({
+      task: task._id,
+      board: task.board?._id || task.board,
+      actor,
+      action,
+      changes,
+    });
+  } catch (error) {
+    console.error('Error recording task activity:', error.message);
+    return null;
+  }
+};
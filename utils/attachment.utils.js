@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import { getStorageDriver } from '../config/storage/index.js';
+
+// Most files accepted in one upload request
+export const MAX_ATTACHMENTS_PER_UPLOAD = 10;
+
+/**
+ * Files uploaded with the request, from either the `attachment` (single,
+ * kept for older clients) or the `attachments` field
+ */
+export const getUploadedFiles = (req) => {
+  if (!req.files) return req.file ? [req.file] : [];
+  if (Array.isArray(req.files)) return req.files;
+  return [...(req.files.attachment || []), ...(req.files.attachments || [])];
+};
+
+/**
+ * Authenticated route serving an attachment's file
+ */
+export const attachmentDownloadPath = (taskId, attachmentId) =>
+  `/api/tasks/${taskId}/attachments/${attachmentId}/download`;
+
+/**
+ * Store the uploaded files with the configured storage driver and build
+ * their attachment metadata. Files without a public URL link to the
+ * download route.
+ */
+export const storeUploadedFiles = async (req, taskId) => {
+  const driver = getStorageDriver();
+  const attachments = [];
+
+  for (const file of getUploadedFiles(req)) {
+    const _id = new mongoose.Types.ObjectId();
+    const { key, url } = await driver.put(file);
+
+    attachments.push({
+      _id,
+      url: url || attachmentDownloadPath(taskId, _id),
+      storage: driver.name,
+      key,
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      uploadedBy: req.user.id,
+      uploadedAt: new Date(),
+    });
+  }
+
+  return attachments;
+};
+
+/**
+ * Delete stored files of attachments (errors are logged, not thrown)
+ */
+export const deleteAttachmentFiles = async (attachments) => {
+  for (const attachment of attachments) {
+    try {
+      // Files from before storage drivers have no key, only a Cloudinary URL
+      await getStorageDriver(attachment.storage || 'cloudinary').delete(attachment.key || attachment.url);
+    } catch (error) {
+      console.error('Error deleting attachment file:', error);
+      // Continue even if deletion fails
+    }
+  }
+};
+
+/**
+ * Copy the files of attachments into the configured storage driver, for a
+ * copy of their task. Files copied before a failure are deleted again.
+ * Returns the attachment metadata for the new task.
+ */
+export const copyAttachmentFiles = async (attachments, taskId, userId) => {
+  const driver = getStorageDriver();
+  const copies = [];
+
+  try {
+    for (const attachment of attachments) {
+      // Files from before storage drivers have no key, only a Cloudinary URL
+      const stream = await getStorageDriver(attachment.storage || 'cloudinary').get(
+        attachment.key || attachment.url
+      );
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      const buffer = Buffer.concat(chunks);
+
+      const _id = new mongoose.Types.ObjectId();
+      const { key, url } = await driver.put({
+        buffer,
+        originalname: attachment.filename,
+        mimetype: attachment.mimeType,
+        size: buffer.length,
+      });
+
+      copies.push({
+        _id,
+        url: url || attachmentDownloadPath(taskId, _id),
+        storage: driver.name,
+        key,
+        filename: attachment.filename,
+        mimeType: attachment.mimeType,
+        size: buffer.length,
+        uploadedBy: userId,
+        uploadedAt: new Date(),
+      });
+    }
+  } catch (error) {
+    await deleteAttachmentFiles(copies);
+    throw error;
+  }
+
+  return copies;
+};
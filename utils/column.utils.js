@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+import Column from '../models/column.model.js';
+import Task from '../models/task.model.js';
+
+// Columns every board starts with (match the legacy task status values)
+export const DEFAULT_COLUMNS = [
+  { name: 'To Do', key: 'todo', isDone: false },
+  { name: 'In Progress', key: 'in_progress', isDone: false },
+  { name: 'Completed', key: 'completed', isDone: true },
+];
+
+/**
+ * Turn a column name into a key, e.g. "Code Review" -> "code_review"
+ */
+export const slugifyColumnKey = (name) =>
+  String(name)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'column';
+
+/**
+ * Get a key for a new column that does not clash with existing ones
+ */
+export const uniqueColumnKey = (name, existingColumns) => {
+  const base = slugifyColumnKey(name);
+  const taken = new Set(existingColumns.map((c) => c.key));
+
+  let key = base;
+  let suffix = 2;
+  while (taken.has(key)) {
+    key = `${base}_${suffix}`;
+    suffix++;
+  }
+  return key;
+};
+
+/**
+ * Create the default columns for a board
+ */
+export const createDefaultColumns = async (boardId) =>
+  Column.insertMany(
+    DEFAULT_COLUMNS.map((column, index) => ({
+      ...column,
+      board: boardId,
+      order: index,
+    }))
+  );
+
+/**
+ * Get the columns of a board in display order, creating the defaults
+ * for boards that were created before columns existed
+ */
+export const getBoardColumns = async (boardId) => {
+  const columns = await Column.find({ board: boardId }).sort({ order: 1, createdAt: 1 });
+  if (columns.length > 0) {
+    return columns;
+  }
+
+  try {
+    await createDefaultColumns(boardId);
+  } catch (error) {
+    // Another request created them concurrently (unique board/key index)
+    if (error.code !== 11000) throw error;
+  }
+  return Column.find({ board: boardId }).sort({ order: 1, createdAt: 1 });
+};
+
+/**
+ * Status history entry for a task entering a column
+ */
+export const statusHistoryEntry = (column, at = new Date()) => ({
+  column: column._id,
+  status: column.key,
+  done: column.isDone,
+  at,
+});
+
+/**
+ * Resolve the column a task should go to on a board.
+ * Accepts a column id or a legacy status key; falls back to the first column.
+ * Returns null if a column/status was given but does not exist on the board.
+ */
+export const resolveColumn = async (boardId, { column, status } = {}) => {
+  const columns = await getBoardColumns(boardId);
+
+  if (column) {
+    if (!mongoose.isValidObjectId(column)) return null;
+    return columns.find((c) => c._id.toString() === column.toString()) || null;
+  }
+
+  if (status) {
+    return columns.find((c) => c.key === status) || null;
+  }
+
+  return columns[0] || null;
+};
+
+/**
+ * Count the tasks (not archived) in each column of some boards.
+ * Returns a map of column id -> count.
+ */
+export const countColumnTasks = async (boardIds) => {
+  const counts = await Task.aggregate([
+    { $match: { board: { $in: boardIds }, archived: { $ne: true } } },
+    { $group: { _id: '$column', count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+/**
+ * Columns as plain objects with their task count and whether it is over
+ * the column's WIP limit
+ */
+export const withTaskCounts = (columns, counts) =>
+  columns.map((column) => {
+    const taskCount = counts.get(column._id.toString()) || 0;
+    return {
+      ...column.toObject(),
+      taskCount,
+      overLimit: Boolean(column.wipLimit) && taskCount > column.wipLimit,
+      atLimit: Boolean(column.wipLimit) && taskCount >= column.wipLimit,
+    };
+  });
+
+/**
+ * Board responses with the board's columns and their task counts against
+ * WIP limits (as `columns`)
+ */
+export const withColumnWip = async (boards) => {
+  const boardIds = boards.map((board) => board._id);
+  const [columns, counts] = await Promise.all([
+    Column.find({ board: { $in: boardIds } }).sort({ order: 1, createdAt: 1 }),
+    countColumnTasks(boardIds),
+  ]);
+
+  return boards.map((board) => ({
+    ...board.toJSON(),
+    columns: withTaskCounts(
+      columns.filter((column) => column.board.equals(board._id)),
+      counts
+    ),
+  }));
+};
+
+/**
+ * Aggregation stages setting `inDoneColumn` on each task from its own
+ * column, so done tasks can be filtered without listing every done column
+ */
+export const doneColumnStages = () => [
+  {
+    $lookup: {
+      from: Column.collection.name,
+      localField: 'column',
+      foreignField: '_id',
+      as: 'columnDone',
+    },
+  },
+  { $addFields: { inDoneColumn: { $anyElementTrue: ['$columnDone.isDone'] } } },
+  { $project: { columnDone: 0 } },
+];
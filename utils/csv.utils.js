@@ -0,0 +1,18 @@
+/**
+ * Quote a value for CSV. Values that a spreadsheet would read as a formula
+ * are prefixed with a quote so exported text cannot run as one.
+ */
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document from a header row and data rows
+ */
+export const toCsv = (header, rows) =>
+  [header, ...rows].map((row) => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
@@ -0,0 +1,188 @@
+// Types of custom fields a board can define
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'checkbox', 'url'];
+
+const MAX_TEXT_LENGTH = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normalize the options of a select field (array or comma list), dropping
+ * blanks and duplicates
+ */
+export const normalizeFieldOptions = (options) => {
+  if (!options) return [];
+
+  const list = Array.isArray(options) ? options : String(options).split(',');
+  return [...new Set(list.map((option) => String(option).trim()).filter(Boolean))];
+};
+
+const parseBoolean = (value) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Parse a value for a custom field.
+ * Returns null to clear the value, or undefined when it is invalid for the field's type
+ * (false being a valid checkbox value).
+ */
+export const parseFieldValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  switch (field.type) {
+    case 'text': {
+      const text = String(value).trim();
+      return text.length <= MAX_TEXT_LENGTH ? text || null : undefined;
+    }
+    case 'number': {
+      const number = Number(value);
+      return typeof value !== 'boolean' && Number.isFinite(number) ? number : undefined;
+    }
+    case 'date': {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    }
+    case 'select':
+      return field.options.includes(String(value)) ? String(value) : undefined;
+    case 'checkbox':
+      return parseBoolean(value);
+    case 'url':
+      return isHttpUrl(String(value).trim()) ? String(value).trim() : undefined;
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Parse custom field values from the request body: an object of
+ * { fieldId: value } (or the same as a JSON string, for form data).
+ * Returns undefined when not provided, { values } with each value parsed
+ * (null to clear), or { error } when a field or value is invalid.
+ */
+export const parseCustomFieldValues = (input, board) => {
+  if (input === undefined) return undefined;
+
+  let raw = input;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch (error) {
+      return { error: 'Invalid custom fields' };
+    }
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'Invalid custom fields' };
+  }
+
+  const values = {};
+  for (const [fieldId, value] of Object.entries(raw)) {
+    const field = board.customFields.find((f) => f._id.toString() === fieldId);
+    if (!field) {
+      return { error: 'Invalid custom field' };
+    }
+
+    const parsed = parseFieldValue(field, value);
+    if (parsed === undefined) {
+      return { error: `Invalid value for custom field "${field.name}"` };
+    }
+    values[fieldId] = parsed;
+  }
+  return { values };
+};
+
+/**
+ * Apply parsed values to a task's custom field entries ([{ field, value }]).
+ * Fields set to null are removed; other entries are kept.
+ */
+export const applyCustomFieldValues = (entries, values) => {
+  const kept = entries
+    .filter((entry) => !(entry.field.toString() in values))
+    .map((entry) => ({ field: entry.field, value: entry.value }));
+
+  const set = Object.entries(values)
+    .filter(([, value]) => value !== null)
+    .map(([field, value]) => ({ field, value }));
+
+  return [...kept, ...set];
+};
+
+/**
+ * Map custom field values of one board onto another board's fields, matching
+ * on name and type. Values the target board has no field (or select option)
+ * for are dropped. Returns the entries to use on the target board.
+ */
+export const copyCustomFieldsToBoard = (entries, fromBoard, toBoard) =>
+  entries
+    .map((entry) => {
+      const field = fromBoard.customFields.id(entry.field);
+      if (!field) return null;
+
+      const match = toBoard.customFields.find(
+        (f) => f.name.toLowerCase() === field.name.toLowerCase() && f.type === field.type
+      );
+      if (!match || parseFieldValue(match, entry.value) === undefined) return null;
+
+      return { field: match._id, value: entry.value };
+    })
+    .filter(Boolean);
+
+/**
+ * Query condition matching tasks whose value of a custom field fits a filter:
+ * - text, url: contains the text (case insensitive)
+ * - select: one of a comma separated list of options
+ * - checkbox: "true" or "false" (tasks without a value count as false)
+ * - number, date: a value, or a "min..max" range with either end optional
+ *   (a date without a time covers the whole day)
+ * Returns false when the filter is invalid for the field's type.
+ */
+export const customFieldCondition = (field, filter) => {
+  const text = String(filter);
+  const withValue = (value) => ({ customFields: { $elemMatch: { field: field._id, value } } });
+
+  switch (field.type) {
+    case 'text':
+    case 'url':
+      return withValue(new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'));
+    case 'select': {
+      const options = text.split(',');
+      return options.every((option) => field.options.includes(option))
+        ? withValue({ $in: options })
+        : false;
+    }
+    case 'checkbox': {
+      const checked = parseBoolean(text);
+      if (checked === undefined) return false;
+      return checked
+        ? withValue(true)
+        : { customFields: { $not: { $elemMatch: { field: field._id, value: true } } } };
+    }
+    case 'number':
+    case 'date': {
+      const [from, to] = text.includes('..') ? text.split('..') : [text, text];
+      const range = {};
+      for (const [operator, bound] of [['$gte', from], ['$lte', to]]) {
+        if (bound === '') continue;
+        const value = parseFieldValue(field, bound);
+        if (value === undefined || value === null) return false;
+        // A day as upper bound includes the whole day
+        range[operator] =
+          operator === '$lte' && field.type === 'date' && DAY_PATTERN.test(bound)
+            ? new Date(value.getTime() + DAY_MS - 1)
+            : value;
+      }
+      return Object.keys(range).length > 0 ? withValue(range) : false;
+    }
+    default:
+      return false;
+  }
+};
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Column from '../models/column.model.js';
+
+// Fields of linked tasks returned in dependency info
+const LINKED_TASK_FIELDS = 'title status column board archived';
+
+/**
+ * Ids of the done columns among the given column ids
+ */
+const getDoneColumnIds = async (columnIds) => {
+  const columns = await Column.find({ _id: { $in: columnIds }, isDone: true }).select('_id');
+  return new Set(columns.map((c) => c._id.toString()));
+};
+
+/**
+ * A linked task is open until it is in a done column or archived
+ */
+const toLinkedTask = (linked, doneColumnIds) => ({
+  _id: linked._id,
+  title: linked.title,
+  status: linked.status,
+  column: linked.column,
+  board: linked.board,
+  isOpen: !linked.archived && !doneColumnIds.has(String(linked.column)),
+});
+
+/**
+ * Add dependency info to tasks for responses:
+ * - blockedBy: tasks this task waits for
+ * - blocks: tasks waiting for this task
+ * - isBlocked: whether any blocker is still open
+ * Accepts task documents and returns plain objects.
+ */
+export const withDependencies = async (tasks) => {
+  const taskIds = tasks.map((t) => t._id);
+  const blockerIds = tasks.flatMap((t) => t.blockedBy || []);
+
+  const [blockers, blocked] = await Promise.all([
+    blockerIds.length > 0
+      ? Task.find({ _id: { $in: blockerIds } }).select(LINKED_TASK_FIELDS)
+      : [],
+    Task.find({ blockedBy: { $in: taskIds }, archived: { $ne: true } }).select(
+      `${LINKED_TASK_FIELDS} blockedBy`
+    ),
+  ]);
+
+  const doneColumnIds = await getDoneColumnIds(
+    [...blockers, ...blocked].map((t) => t.column).filter(Boolean)
+  );
+  const blockersById = new Map(blockers.map((b) => [b._id.toString(), b]));
+
+  return tasks.map((task) => {
+    const blockedBy = (task.blockedBy || [])
+      .map((id) => blockersById.get(id.toString()))
+      .filter(Boolean)
+      .map((b) => toLinkedTask(b, doneColumnIds));
+
+    const blocks = blocked
+      .filter((b) => b.blockedBy.some((id) => id.equals(task._id)))
+      .map((b) => toLinkedTask(b, doneColumnIds));
+
+    return {
+      ...(task.toJSON ? task.toJSON() : task),
+      blockedBy,
+      blocks,
+      isBlocked: blockedBy.some((b) => b.isOpen),
+    };
+  });
+};
+
+/**
+ * withDependencies for a single task
+ */
+export const withTaskDependencies = async (task) => (await withDependencies([task]))[0];
+
+/**
+ * Blockers of a task that are still open
+ */
+export const getOpenBlockers = async (task) => {
+  if (!task.blockedBy || task.blockedBy.length === 0) return [];
+
+  const blockers = await Task.find({
+    _id: { $in: task.blockedBy },
+    archived: { $ne: true },
+  }).select(LINKED_TASK_FIELDS);
+
+  const doneColumnIds = await getDoneColumnIds(blockers.map((b) => b.column).filter(Boolean));
+
+  return blockers
+    .map((b) => toLinkedTask(b, doneColumnIds))
+    .filter((b) => b.isOpen);
+};
+
+/**
+ * Check whether making `taskId` blocked by `blockerId` would close a loop,
+ * i.e. the blocker already (transitively) waits for the task
+ */
+export const wouldCreateCycle = async (taskId, blockerId) => {
+  const target = taskId.toString();
+  const visited = new Set();
+  let frontier = [blockerId.toString()];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) return true;
+    frontier.forEach((id) => visited.add(id));
+
+    const tasks = await Task.find({
+      _id: { $in: frontier.map((id) => new mongoose.Types.ObjectId(id)) },
+    }).select('blockedBy');
+
+    frontier = [
+      ...new Set(
+        tasks.flatMap((t) => t.blockedBy.map((id) => id.toString()))
+      ),
+    ].filter((id) => !visited.has(id));
+  }
+
+  return false;
+};
@@ -1,7 +1,27 @@
 import nodemailer from 'nodemailer';
+import { escapeHtml } from './html.utils.js';
+
+// Transport used instead of SMTP when set (e.g. a capture transport in tests)
+let transportOverride = null;
+
+/**
+ * Replace the SMTP transport with any object that has a sendMail(mailOptions) method.
+ * Pass null to go back to SMTP.
+ */
+export const setEmailTransport = (transport) => {
+  transportOverride = transport;
+};
+
+// Emails are only sent when SMTP credentials or a transport override exist
+const isEmailConfigured = () =>
+  Boolean(transportOverride || (process.env.EMAIL_USER && process.env.EMAIL_PASSWORD));
 
 // Create reusable transporter object using SMTP transport
 const createTransporter = () => {
+  if (transportOverride) {
+    return transportOverride;
+  }
+
   // For development, you can use Gmail or other SMTP services
   // For production, use services like SendGrid, Mailgun, or AWS SES
   
@@ -25,7 +45,7 @@ const createTransporter = () => {
  */
 export const sendBoardInvitation = async (toEmail, userName, inviterName, boardTitle, workspaceName, boardUrl) => {
   try {
-    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
+    if (!isEmailConfigured()) {
       console.warn('Email service not configured. Skipping email send.');
       return { success: false, message: 'Email service not configured' };
     }
@@ -143,7 +163,7 @@ export const sendBoardInvitation = async (toEmail, userName, inviterName, boardT
  */
 export const sendUserInvitation = async (toEmail, inviterName, inviterEmail, loginUrl, registerUrl, action = 'register', invitationToken = null) => {
   try {
-    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
+    if (!isEmailConfigured()) {
       console.warn('Email service not configured. Skipping email send.');
       return { success: false, message: 'Email service not configured' };
     }
@@ -342,3 +362,270 @@ You may ignore this email if you do not want to join the team. This invitation w
   }
 };
 
+/**
+ * Send due date reminder email
+ * @param {string} toEmail - Email address of the assignee
+ * @param {string} userName - Name of the assignee
+ * @param {string} taskTitle - Title of the task that is due
+ * @param {string} boardTitle - Title of the board the task is on
+ * @param {Date} dueDate - When the task is due
+ * @param {string} boardUrl - URL of the board
+ */
+export const sendDueDateReminder = async (toEmail, userName, taskTitle, boardTitle, dueDate, boardUrl) => {
+  try {
+    if (!isEmailConfigured()) {
+      console.warn('Email service not configured. Skipping email send.');
+      return { success: false, message: 'Email service not configured' };
+    }
+
+    const transporter = createTransporter();
+    const dueText = new Date(dueDate).toUTCString();
+
+    const mailOptions = {
+      from: `"Kanban Board" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      subject: `Reminder: "${taskTitle}" is due ${dueText}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #f9fafb; border-radius: 8px; padding: 30px; border: 1px solid #e5e7eb;">
+            <h2>Hello ${escapeHtml(userName)},</h2>
+            <p>
+              The task <strong>"${escapeHtml(taskTitle)}"</strong> on the board <strong>"${escapeHtml(boardTitle)}"</strong>
+              is due <strong>${dueText}</strong>.
+            </p>
+            ${boardUrl ? `
+              <a href="${escapeHtml(boardUrl)}" style="display: inline-block; padding: 12px 24px; background-color: #4f46e5; color: white; text-decoration: none; border-radius: 6px; margin: 20px 0;">View Board</a>
+            ` : ''}
+            <p style="margin-top: 30px; font-size: 12px; color: #6b7280;">
+              This is an automated email from Kanban Board. Please do not reply to this email.
+            </p>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Hello ${userName},
+        
+        The task "${taskTitle}" on the board "${boardTitle}" is due ${dueText}.
+        ${boardUrl ? `View the board at: ${boardUrl}` : ''}
+        
+        This is an automated email from Kanban Board.
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Reminder email sent successfully:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending reminder email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send a watcher the batched changes to a task
+ * @param {string} toEmail - Email address of the watcher
+ * @param {string} userName - Name of the watcher
+ * @param {string} taskTitle - Title of the changed task
+ * @param {string} boardTitle - Title of the board the task is on
+ * @param {string[]} lines - The changes as plain text, one per line
+ * @param {string} boardUrl - URL of the board
+ */
+export const sendTaskUpdateDigest = async (toEmail, userName, taskTitle, boardTitle, lines, boardUrl) => {
+  try {
+    if (!isEmailConfigured()) {
+      console.warn('Email service not configured. Skipping email send.');
+      return { success: false, message: 'Email service not configured' };
+    }
+
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"Kanban Board" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      subject: `Updates to "${taskTitle}"`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #f9fafb; border-radius: 8px; padding: 30px; border: 1px solid #e5e7eb;">
+            <h2>Hello ${escapeHtml(userName)},</h2>
+            <p>
+              The task <strong>"${escapeHtml(taskTitle)}"</strong> on the board
+              <strong>"${escapeHtml(boardTitle)}"</strong> you are watching has changed:
+            </p>
+            <ul>
+              ${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}
+            </ul>
+            ${boardUrl ? `
+              <a href="${escapeHtml(boardUrl)}" style="display: inline-block; padding: 12px 24px; background-color: #4f46e5; color: white; text-decoration: none; border-radius: 6px; margin: 20px 0;">View Board</a>
+            ` : ''}
+            <p style="margin-top: 30px; font-size: 12px; color: #6b7280;">
+              You receive this email because you watch this task. Unwatch it to stop these emails.
+            </p>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Hello ${userName},
+        
+        The task "${taskTitle}" on the board "${boardTitle}" you are watching has changed:
+        ${lines.map((line) => `- ${line}`).join('\n        ')}
+        ${boardUrl ? `View the board at: ${boardUrl}` : ''}
+        
+        You receive this email because you watch this task.
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Task update email sent successfully:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending task update email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send an email to a user mentioned in a task description or comment
+ * @param {string} toEmail - Email address of the mentioned user
+ * @param {string} userName - Name of the mentioned user
+ * @param {string} mentionerName - Name of the user who wrote the mention
+ * @param {string} taskTitle - Title of the task
+ * @param {string} boardTitle - Title of the board the task is on
+ * @param {string} text - The text containing the mention
+ * @param {string} boardUrl - URL of the board
+ */
+export const sendMentionNotification = async (toEmail, userName, mentionerName, taskTitle, boardTitle, text, boardUrl) => {
+  try {
+    if (!isEmailConfigured()) {
+      console.warn('Email service not configured. Skipping email send.');
+      return { success: false, message: 'Email service not configured' };
+    }
+
+    const transporter = createTransporter();
+    const excerpt = text.length > 300 ? `${text.slice(0, 300)}…` : text;
+
+    const mailOptions = {
+      from: `"Kanban Board" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      subject: `${mentionerName} mentioned you in "${taskTitle}"`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #f9fafb; border-radius: 8px; padding: 30px; border: 1px solid #e5e7eb;">
+            <h2>Hello ${escapeHtml(userName)},</h2>
+            <p>
+              <strong>${escapeHtml(mentionerName)}</strong> mentioned you on the task
+              <strong>"${escapeHtml(taskTitle)}"</strong> on the board <strong>"${escapeHtml(boardTitle)}"</strong>:
+            </p>
+            <blockquote style="margin: 0; padding: 10px 15px; border-left: 4px solid #4f46e5; background-color: #ffffff; white-space: pre-wrap;">${escapeHtml(excerpt)}</blockquote>
+            ${boardUrl ? `
+              <a href="${escapeHtml(boardUrl)}" style="display: inline-block; padding: 12px 24px; background-color: #4f46e5; color: white; text-decoration: none; border-radius: 6px; margin: 20px 0;">View Board</a>
+            ` : ''}
+            <p style="margin-top: 30px; font-size: 12px; color: #6b7280;">
+              This is an automated email from Kanban Board. Please do not reply to this email.
+            </p>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Hello ${userName},
+        
+        ${mentionerName} mentioned you on the task "${taskTitle}" on the board "${boardTitle}":
+        
+        ${excerpt}
+        
+        ${boardUrl ? `View the board at: ${boardUrl}` : ''}
+        
+        This is an automated email from Kanban Board.
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Mention email sent successfully:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending mention email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send an email to an assignee of a newly created urgent task
+ * @param {string} toEmail - Email address of the assignee
+ * @param {string} userName - Name of the assignee
+ * @param {string} creatorName - Name of the user who created the task
+ * @param {string} taskTitle - Title of the task
+ * @param {string} boardTitle - Title of the board the task is on
+ * @param {string} boardUrl - URL of the board
+ */
+export const sendUrgentTaskNotification = async (toEmail, userName, creatorName, taskTitle, boardTitle, boardUrl) => {
+  try {
+    if (!isEmailConfigured()) {
+      console.warn('Email service not configured. Skipping email send.');
+      return { success: false, message: 'Email service not configured' };
+    }
+
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"Kanban Board" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      subject: `Urgent: "${taskTitle}" was assigned to you`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #f9fafb; border-radius: 8px; padding: 30px; border: 1px solid #e5e7eb;">
+            <h2>Hello ${escapeHtml(userName)},</h2>
+            <p>
+              <strong>${escapeHtml(creatorName)}</strong> created the <strong style="color: #dc2626;">urgent</strong> task
+              <strong>"${escapeHtml(taskTitle)}"</strong> on the board <strong>"${escapeHtml(boardTitle)}"</strong>
+              and assigned it to you.
+            </p>
+            ${boardUrl ? `
+              <a href="${escapeHtml(boardUrl)}" style="display: inline-block; padding: 12px 24px; background-color: #dc2626; color: white; text-decoration: none; border-radius: 6px; margin: 20px 0;">View Board</a>
+            ` : ''}
+            <p style="margin-top: 30px; font-size: 12px; color: #6b7280;">
+              This is an automated email from Kanban Board. Please do not reply to this email.
+            </p>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Hello ${userName},
+        
+        ${creatorName} created the urgent task "${taskTitle}" on the board "${boardTitle}" and assigned it to you.
+        ${boardUrl ? `View the board at: ${boardUrl}` : ''}
+        
+        This is an automated email from Kanban Board.
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Urgent task email sent successfully:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending urgent task email:', error);
+    return { success: false, error: error.message };
+  }
+};
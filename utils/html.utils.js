@@ -0,0 +1,10 @@
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+export const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
@@ -0,0 +1,75 @@
+// Named colors offered by the UI; any #rrggbb hex color is accepted too
+export const LABEL_COLORS = [
+  'green',
+  'yellow',
+  'orange',
+  'red',
+  'purple',
+  'blue',
+  'sky',
+  'lime',
+  'pink',
+  'black',
+];
+
+/**
+ * Check a label color is a palette name or a #rrggbb hex color
+ */
+export const isValidLabelColor = (color) =>
+  typeof color === 'string' &&
+  (LABEL_COLORS.includes(color.toLowerCase()) || /^#[0-9a-f]{6}$/i.test(color));
+
+/**
+ * Normalize label ids from the request body (array, single value or comma list)
+ */
+export const normalizeLabelIds = (labels) => {
+  if (labels === undefined) return undefined;
+  if (!labels) return [];
+
+  const list = Array.isArray(labels) ? labels : String(labels).split(',');
+  return [...new Set(list.map((id) => id.toString().trim()).filter(Boolean))];
+};
+
+/**
+ * Check every label id belongs to the board's label set
+ */
+export const areBoardLabels = (labelIds, board) =>
+  labelIds.every((id) => board.labels.some((label) => label._id.toString() === id.toString()));
+
+/**
+ * Find labels ({ name, color }) in a board's label set, matching on name and color.
+ * Labels the board does not have yet are added to it (and saved).
+ * Returns the label ids on the board.
+ */
+export const findOrCreateBoardLabels = async (labels, board) => {
+  let added = false;
+
+  const targetIds = labels.map((label) => {
+    let match = board.labels.find(
+      (l) => l.name.toLowerCase() === label.name.toLowerCase() && l.color === label.color
+    );
+
+    if (!match) {
+      board.labels.push({ name: label.name, color: label.color });
+      match = board.labels[board.labels.length - 1];
+      added = true;
+    }
+    return match._id;
+  });
+
+  if (added) {
+    await board.save();
+  }
+  return targetIds;
+};
+
+/**
+ * Map labels of one board onto another board, matching on name and color.
+ * Labels the target board does not have yet are added to it (and saved).
+ * Returns the label ids to use on the target board.
+ */
+export const copyLabelsToBoard = (labelIds, fromBoard, toBoard) =>
+  findOrCreateBoardLabels(
+    labelIds.map((id) => fromBoard.labels.id(id)).filter(Boolean),
+    toBoard
+  );
@@ -0,0 +1,74 @@
+import { marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+
+// URL schemes allowed in links and images; anything else (javascript:, data:, ...) is dropped
+const LINK_SCHEMES = ['http', 'https', 'mailto'];
+const IMAGE_SCHEMES = ['https'];
+
+/**
+ * Hosts images may be loaded from (MARKDOWN_IMAGE_HOSTS, comma separated).
+ * Without it every image is dropped, so descriptions cannot embed tracking
+ * pixels from arbitrary hosts.
+ */
+const imageHosts = () =>
+  (process.env.MARKDOWN_IMAGE_HOSTS || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+const isAllowedImage = (src) => {
+  try {
+    const url = new URL(src);
+    const hosts = imageHosts();
+    return (
+      IMAGE_SCHEMES.includes(url.protocol.slice(0, -1)) &&
+      hosts.includes(url.hostname.toLowerCase())
+    );
+  } catch (error) {
+    // Relative image URLs would load from the API's own host
+    return false;
+  }
+};
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'del'],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    ol: ['start'],
+  },
+  allowedClasses: {
+    code: ['language-*'],
+  },
+  allowedSchemes: LINK_SCHEMES,
+  allowedSchemesByTag: { img: IMAGE_SCHEMES },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', {
+      rel: 'noopener noreferrer nofollow',
+      target: '_blank',
+    }),
+  },
+  exclusiveFilter: (frame) => frame.tag === 'img' && !isAllowedImage(frame.attribs.src),
+};
+
+/**
+ * Render Markdown to HTML that is safe to insert into a page: raw HTML is
+ * filtered, and links and images are limited to the allowed schemes and hosts
+ */
+export const renderMarkdown = (source) => {
+  if (!source) return '';
+
+  const html = marked.parse(String(source), { async: false, gfm: true, breaks: true });
+  return sanitizeHtml(html, SANITIZE_OPTIONS).trim();
+};
+
+/**
+ * Fields to store for a Markdown description: the source as written and its
+ * sanitized HTML rendering (`descriptionHtml`)
+ */
+export const descriptionFields = (description) => ({
+  description,
+  descriptionHtml: renderMarkdown(description),
+});
@@ -0,0 +1,91 @@
+import User from '../models/user.model.js';
+import { sendMentionNotification } from './emailService.js';
+
+// @email, or @name written without spaces (e.g. @janedoe or @jane.doe for "Jane Doe").
+// The @ must not follow a word character, so plain emails are not mentions.
+const MENTION_PATTERN = /(^|[^\w@.])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+|[\w.-]+)/g;
+
+// Names compare without case, spaces, dots, dashes or underscores
+const compactName = (name) => name.replace(/[\s._-]+/g, '').toLowerCase();
+
+/**
+ * Find the @handles in a text (without the @, trailing dots dropped)
+ */
+export const extractMentionHandles = (text) => {
+  if (!text) return [];
+
+  const handles = [...String(text).matchAll(MENTION_PATTERN)]
+    .map((match) => match[2].replace(/\.+$/, ''))
+    .filter(Boolean);
+
+  return [...new Set(handles)];
+};
+
+/**
+ * Resolve the @handles in a text against the workspace members.
+ * A handle matches a member by email, or by compacted name when exactly
+ * one member has that name. Handles that match no member stay plain text,
+ * whether or not they belong to a registered user, so mentions do not
+ * reveal who has an account.
+ * Returns the mentions as [{ user, handle }].
+ */
+export const resolveMentions = async (text, workspace) => {
+  const handles = extractMentionHandles(text);
+  if (handles.length === 0) return [];
+
+  const members = await User.find({
+    _id: { $in: workspace.members.map((m) => m.user) },
+  }).select('name email');
+
+  const mentions = [];
+
+  for (const handle of handles) {
+    const lower = handle.toLowerCase();
+    const byEmail = members.find((m) => m.email.toLowerCase() === lower);
+    const byName = members.filter((m) => m.name && compactName(m.name) === compactName(handle));
+    const member = byEmail || (byName.length === 1 ? byName[0] : null);
+
+    if (member && !mentions.some((m) => m.user.equals(member._id))) {
+      mentions.push({ user: member._id, handle: `@${handle}` });
+    }
+  }
+
+  return mentions;
+};
+
+/**
+ * Email users who are newly mentioned (not in `previous`), except the author.
+ * Failures are logged, never thrown.
+ */
+export const notifyMentions = async ({ mentions, previous = [], actorId, task, boardTitle, text }) => {
+  try {
+    const previousIds = previous.map((m) => m.user.toString());
+    const userIds = mentions
+      .map((m) => m.user.toString())
+      .filter((id) => id !== actorId && !previousIds.includes(id));
+
+    if (userIds.length === 0) return;
+
+    const [users, actor] = await Promise.all([
+      User.find({ _id: { $in: userIds } }).select('name email'),
+      User.findById(actorId).select('name'),
+    ]);
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const boardUrl = `${frontendUrl}/board/${task.board?._id || task.board}`;
+
+    for (const user of users) {
+      await sendMentionNotification(
+        user.email,
+        user.name || 'User',
+        actor?.name || 'Someone',
+        task.title,
+        boardTitle || 'Board',
+        text,
+        boardUrl
+      );
+    }
+  } catch (error) {
+    console.error('Error sending mention notifications:', error.message);
+  }
+};
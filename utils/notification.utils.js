@@ -0,0 +1,84 @@
+import TaskNotification from '../models/taskNotification.model.js';
+
+// Actions that notify watchers even without field changes
+const STANDALONE_ACTIONS = ['archived'];
+
+// Field names as shown in notification emails
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  status: 'status',
+  assignedTo: 'assignees',
+  board: 'board',
+  startDate: 'start date',
+  dueDate: 'due date',
+  labels: 'labels',
+  blockedBy: 'blocking tasks',
+  estimate: 'estimate',
+  priority: 'priority',
+};
+
+// Fields holding ids, which are not readable in an email
+const ID_FIELDS = ['assignedTo', 'board', 'labels', 'blockedBy'];
+
+/**
+ * Creator and assignees watch a task from the start
+ */
+export const defaultWatchers = (createdBy, assignedTo = []) => [
+  ...new Set([createdBy, ...assignedTo].filter(Boolean).map((id) => id.toString())),
+];
+
+/**
+ * Add a change to the task's pending notification batch, starting a new
+ * batch when there is none. The notification job sends the batch once the
+ * task has been quiet for a while. Failures are logged, never thrown.
+ */
+export const queueTaskNotification = async ({ task, actor, action, changes = [] }) => {
+  if (!STANDALONE_ACTIONS.includes(action) && changes.length === 0) return;
+
+  const now = new Date();
+  const queue = () =>
+    TaskNotification.updateOne(
+      { task: task._id, pending: true },
+      {
+        $push: { events: { actor, action, changes, at: now } },
+        $set: { lastEventAt: now },
+        $setOnInsert: { firstEventAt: now },
+      },
+      { upsert: true }
+    );
+
+  try {
+    await queue();
+  } catch (error) {
+    // Two requests started a batch at once; the other one won, so join it
+    if (error.code === 11000) {
+      await queue().catch((retryError) =>
+        console.error('Error queueing task notification:', retryError.message)
+      );
+      return;
+    }
+    console.error('Error queueing task notification:', error.message);
+  }
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return 'none';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'none';
+  return `"${value}"`;
+};
+
+/**
+ * Describe a batched event as lines of plain text for the email
+ */
+export const describeEvent = (event, actorName) => {
+  if (event.action === 'archived') {
+    return [`${actorName} archived the task`];
+  }
+
+  return event.changes.map(({ field, before, after }) => {
+    const label = FIELD_LABELS[field] || field;
+    if (ID_FIELDS.includes(field)) return `${actorName} changed the ${label}`;
+    return `${actorName} changed the ${label} from ${formatValue(before)} to ${formatValue(after)}`;
+  });
+};
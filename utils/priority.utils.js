@@ -0,0 +1,51 @@
+import User from '../models/user.model.js';
+import { sendUrgentTaskNotification } from './emailService.js';
+
+// Priority levels, most urgent first
+export const PRIORITIES = ['urgent', 'high', 'normal', 'low'];
+
+export const DEFAULT_PRIORITY = 'normal';
+
+/**
+ * Fields to store for a priority: the level and its sort position
+ * (`priorityOrder`, 0 for urgent), which lets tasks sort by urgency
+ */
+export const priorityFields = (priority) => ({
+  priority,
+  priorityOrder: PRIORITIES.indexOf(priority),
+});
+
+/**
+ * Email the assignees of an urgent task, except the user who created it.
+ * Failures are logged, never thrown.
+ */
+export const notifyUrgentAssignees = async ({ task, actorId, boardTitle }) => {
+  try {
+    const assigneeIds = task.assignedTo
+      .map((a) => (a._id || a).toString())
+      .filter((id) => id !== actorId);
+
+    if (assigneeIds.length === 0) return;
+
+    const [assignees, actor] = await Promise.all([
+      User.find({ _id: { $in: assigneeIds } }).select('name email'),
+      User.findById(actorId).select('name'),
+    ]);
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const boardUrl = `${frontendUrl}/board/${task.board?._id || task.board}`;
+
+    for (const assignee of assignees) {
+      await sendUrgentTaskNotification(
+        assignee.email,
+        assignee.name || 'User',
+        actor?.name || 'Someone',
+        task.title,
+        boardTitle || 'Board',
+        boardUrl
+      );
+    }
+  } catch (error) {
+    console.error('Error sending urgent task notifications:', error.message);
+  }
+};
@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+
+// Gap between neighbouring tasks after a rebalance / when appending
+export const RANK_STEP = 1024;
+
+// Below this gap a column is rebalanced before inserting between two tasks
+export const MIN_RANK_GAP = 1e-6;
+
+/**
+ * Compute a rank between two neighbouring ranks.
+ * `before` is the rank of the task above, `after` the rank of the task below;
+ * either may be null at the start/end of a column.
+ * Returns null when the neighbours are too close together.
+ */
+export const rankBetween = (before, after) => {
+  if (before == null && after == null) return RANK_STEP;
+  if (before == null) return after - RANK_STEP;
+  if (after == null) return before + RANK_STEP;
+
+  if (after - before < MIN_RANK_GAP) return null;
+  return before + (after - before) / 2;
+};
+
+/**
+ * Rank that places a task at the end of a column
+ */
+export const rankAtEnd = async (boardId, columnId) => {
+  const last = await Task.findOne({ board: boardId, column: columnId })
+    .sort({ order: -1 })
+    .select('order');
+
+  return rankBetween(last ? last.order : null, null);
+};
+
+/**
+ * Spread the ranks of a column evenly, keeping the current order.
+ * Returns a map of task id -> new rank.
+ */
+export const rebalanceColumn = async (boardId, columnId) => {
+  const tasks = await Task.find({ board: boardId, column: columnId })
+    .sort({ order: 1, createdAt: 1 })
+    .select('_id');
+
+  const ranks = new Map();
+  const operations = tasks.map((task, index) => {
+    const order = (index + 1) * RANK_STEP;
+    ranks.set(task._id.toString(), order);
+    return {
+      updateOne: {
+        filter: { _id: task._id },
+        update: { $set: { order } },
+      },
+    };
+  });
+
+  if (operations.length > 0) {
+    await Task.bulkWrite(operations);
+  }
+  return ranks;
+};
+
+/**
+ * Rank for placing a task between two neighbours in a column.
+ * Only one neighbour is needed; the task on the other side is looked up,
+ * and with neither the task goes to the end of the column.
+ * Returns null if a given neighbour is not another task in the column, or
+ * false if `before` is not above `after`.
+ */
+export const rankForPosition = async ({ boardId, columnId, taskId, beforeId, afterId }) => {
+  const inColumn = { board: boardId, column: columnId, _id: { $ne: taskId } };
+
+  const loadNeighbour = async (id) => {
+    if (!mongoose.isValidObjectId(id) || id.toString() === taskId.toString()) return null;
+    return Task.findOne({ _id: id, board: boardId, column: columnId }).select('order');
+  };
+
+  let before = beforeId ? await loadNeighbour(beforeId) : null;
+  let after = afterId ? await loadNeighbour(afterId) : null;
+
+  if ((beforeId && !before) || (afterId && !after)) {
+    return null;
+  }
+
+  // Tasks sharing a rank (e.g. created before ranks were assigned) cannot
+  // be told apart by rank, so spread the column out first
+  const hasTie = async (neighbour) =>
+    neighbour &&
+    (await Task.exists({
+      board: boardId,
+      column: columnId,
+      _id: { $nin: [taskId, neighbour._id] },
+      order: neighbour.order,
+    }));
+
+  if ((await hasTie(before)) || (await hasTie(after))) {
+    await rebalanceColumn(boardId, columnId);
+    before = before && (await loadNeighbour(before._id));
+    after = after && (await loadNeighbour(after._id));
+  }
+
+  if (before && after && before.order >= after.order) {
+    return false;
+  }
+
+  if (!before && !after) {
+    before = await Task.findOne(inColumn).sort({ order: -1 }).select('order');
+  } else if (before && !after) {
+    after = await Task.findOne({ ...inColumn, order: { $gt: before.order } })
+      .sort({ order: 1 })
+      .select('order');
+  } else if (after && !before) {
+    before = await Task.findOne({ ...inColumn, order: { $lt: after.order } })
+      .sort({ order: -1 })
+      .select('order');
+  }
+
+  let rank = rankBetween(before ? before.order : null, after ? after.order : null);
+
+  // Neighbours too close together: rebalance and try again
+  if (rank === null) {
+    const ranks = await rebalanceColumn(boardId, columnId);
+    rank = rankBetween(
+      before ? ranks.get(before._id.toString()) : null,
+      after ? ranks.get(after._id.toString()) : null
+    );
+  }
+
+  return rank;
+};
@@ -0,0 +1,173 @@
+import Task from '../models/task.model.js';
+import { resolveColumn, statusHistoryEntry } from './column.utils.js';
+import { rankAtEnd } from './rank.utils.js';
+import { recordActivity } from './activity.utils.js';
+import { defaultWatchers } from './notification.utils.js';
+import { priorityFields } from './priority.utils.js';
+import { descriptionFields } from './markdown.utils.js';
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value >= 1;
+
+/**
+ * Parse a recurrence rule from the request body (an object, or JSON in form data):
+ * { frequency, interval, endDate, count }
+ * Returns undefined when not provided, null to clear, false when invalid,
+ * otherwise the rule.
+ */
+export const parseRecurrence = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || value === 'null') return null;
+
+  let rule = value;
+  if (typeof value === 'string') {
+    try {
+      rule = JSON.parse(value);
+    } catch {
+      return false;
+    }
+  }
+  if (!rule || typeof rule !== 'object') return false;
+
+  if (!RECURRENCE_FREQUENCIES.includes(rule.frequency)) return false;
+
+  const interval = rule.interval === undefined ? 1 : Number(rule.interval);
+  if (!isPositiveInteger(interval)) return false;
+
+  let endDate = null;
+  if (rule.endDate) {
+    endDate = new Date(rule.endDate);
+    if (Number.isNaN(endDate.getTime())) return false;
+  }
+
+  let count = null;
+  if (rule.count !== undefined && rule.count !== null && rule.count !== '') {
+    count = Number(rule.count);
+    if (!isPositiveInteger(count)) return false;
+  }
+
+  return { frequency: rule.frequency, interval, endDate, count };
+};
+
+/**
+ * Add one step of the rule to a date. Monthly steps keep the day of the
+ * month where possible (Jan 31 + 1 month is the last day of February).
+ */
+export const addInterval = (date, { frequency, interval }) => {
+  const next = new Date(date);
+
+  if (frequency === 'daily') {
+    next.setUTCDate(next.getUTCDate() + interval);
+  } else if (frequency === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + interval * 7);
+  } else {
+    const day = next.getUTCDate();
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + interval);
+    const daysInMonth = new Date(
+      Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+    next.setUTCDate(Math.min(day, daysInMonth));
+  }
+
+  return next;
+};
+
+/**
+ * Date an occurrence is scheduled for: its due date, else its start date
+ */
+export const scheduledDate = (task) => task.dueDate || task.startDate || null;
+
+/**
+ * Work out the schedule of the occurrence after `task`.
+ * Occurrences whose date has already passed are skipped, so a series that
+ * was completed late or left alone does not flood the board.
+ * Returns null when the series has ended (end date or count reached).
+ */
+export const getNextOccurrence = (task, now = new Date()) => {
+  const rule = task.recurrence;
+  let occurrence = rule.occurrence;
+  let startDate = task.startDate;
+  let dueDate = task.dueDate;
+  let anchor = scheduledDate(task) || task.createdAt || now;
+
+  do {
+    occurrence += 1;
+    anchor = addInterval(anchor, rule);
+    if (startDate) startDate = addInterval(startDate, rule);
+    if (dueDate) dueDate = addInterval(dueDate, rule);
+
+    if (rule.count && occurrence > rule.count) return null;
+    if (rule.endDate && anchor > rule.endDate) return null;
+  } while (anchor <= now);
+
+  return { occurrence, startDate, dueDate };
+};
+
+/**
+ * Create the next occurrence of a recurring task on the same board, with the
+ * same assignees, labels, custom field values and checklists (unchecked).
+ * The task is claimed (nextCreated set) before anything is created, so runs
+ * racing on the same task create at most one occurrence between them.
+ * Returns the new task, or null when there is none.
+ */
+export const createNextOccurrence = async (task, now = new Date()) => {
+  const claim = await Task.updateOne(
+    { _id: task._id, 'recurrence.nextCreated': false },
+    { $set: { 'recurrence.nextCreated': true } }
+  );
+  if (claim.modifiedCount !== 1) return null;
+
+  const next = getNextOccurrence(task, now);
+
+  let created = null;
+  if (next) {
+    try {
+      const column = await resolveColumn(task.board);
+      created = await Task.create({
+        title: task.title,
+        ...descriptionFields(task.description),
+        mentions: task.mentions,
+        board: task.board,
+        column: column?._id,
+        status: column?.key,
+        statusHistory: column ? [statusHistoryEntry(column)] : [],
+        order: column ? await rankAtEnd(task.board, column._id) : 0,
+        assignedTo: task.assignedTo,
+        createdBy: task.createdBy,
+        watchers: defaultWatchers(task.createdBy, task.assignedTo),
+        labels: task.labels,
+        customFields: task.customFields.map(({ field, value }) => ({ field, value })),
+        estimate: task.estimate,
+        ...priorityFields(task.priority),
+        checklists: task.checklists.map((checklist) => ({
+          title: checklist.title,
+          items: checklist.items.map((item) => ({ text: item.text, assignee: item.assignee })),
+        })),
+        startDate: next.startDate || null,
+        dueDate: next.dueDate || null,
+        recurrence: {
+          frequency: task.recurrence.frequency,
+          interval: task.recurrence.interval,
+          endDate: task.recurrence.endDate,
+          count: task.recurrence.count,
+          series: task.recurrence.series,
+          occurrence: next.occurrence,
+        },
+      });
+    } catch (error) {
+      // Another run already created this occurrence
+      if (error.code !== 11000) {
+        // Release the claim so a later run can try again
+        await Task.updateOne({ _id: task._id }, { $set: { 'recurrence.nextCreated': false } });
+        throw error;
+      }
+    }
+  }
+
+  if (created) {
+    await recordActivity({ task: created, actor: task.createdBy, action: 'created' });
+  }
+  return created;
+};
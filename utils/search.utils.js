@@ -0,0 +1,47 @@
+import { escapeHtml } from './html.utils.js';
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_RADIUS = 60;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Words of a search query worth highlighting (negated terms are dropped)
+ */
+export const getSearchTerms = (query) =>
+  String(query)
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith('-'))
+    .map((term) => term.toLowerCase());
+
+/**
+ * Build an HTML-safe snippet of `text` around the first matching term,
+ * with every match wrapped in <mark>. Terms match the start of words so
+ * "deploy" also highlights "deployment", like MongoDB's stemming would.
+ * Returns null when no term occurs in the text.
+ */
+export const buildSnippet = (text, terms, radius = SNIPPET_RADIUS) => {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(first.index - radius, 0);
+  const end = Math.min(first.index + first[0].length + radius, text.length);
+  const excerpt = text.slice(start, end);
+
+  // Escape the pieces between matches, then wrap the matches
+  pattern.lastIndex = 0;
+  let html = '';
+  let last = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    html += escapeHtml(excerpt.slice(last, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(excerpt.slice(last));
+
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+};
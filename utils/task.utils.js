@@ -0,0 +1,22 @@
+import Task from '../models/task.model.js';
+import Comment from '../models/comment.model.js';
+import Activity from '../models/activity.model.js';
+import TaskNotification from '../models/taskNotification.model.js';
+import TimeEntry from '../models/timeEntry.model.js';
+import { deleteAttachmentFiles } from './attachment.utils.js';
+
+/**
+ * Permanently delete a task with its attachment files, comments, activity
+ * and time entries
+ */
+export const purgeTask = async (task) => {
+  // Delete attachment files (task deletion continues even if this fails)
+  await deleteAttachmentFiles(task.attachments);
+
+  await Comment.deleteMany({ task: task._id });
+  await Task.updateMany({ blockedBy: task._id }, { $pull: { blockedBy: task._id } });
+  await Activity.deleteMany({ task: task._id });
+  await TaskNotification.deleteMany({ task: task._id });
+  await TimeEntry.deleteMany({ task: task._id });
+  await Task.findByIdAndDelete(task._id);
+};
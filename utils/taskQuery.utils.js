@@ -0,0 +1,90 @@
+// Sorts of the board task listing and the task fields each one orders by
+// (ties are broken by _id)
+export const TASK_SORTS = {
+  order: ['order'],
+  priority: ['priorityOrder', 'order'],
+  createdAt: ['createdAt'],
+  updatedAt: ['updatedAt'],
+  dueDate: ['dueDate'],
+  title: ['title'],
+};
+
+export const TASK_SORT_FIELDS = Object.keys(TASK_SORTS);
+
+const DATE_SORT_FIELDS = ['createdAt', 'updatedAt', 'dueDate'];
+
+/**
+ * Encode the position after the last returned task as an opaque cursor
+ */
+export const encodeCursor = (task, sortFields) =>
+  Buffer.from(
+    JSON.stringify({
+      v: sortFields.map((field) => {
+        const value = task[field];
+        return value instanceof Date ? value.toISOString() : value ?? null;
+      }),
+      id: task._id.toString(),
+    })
+  ).toString('base64url');
+
+/**
+ * Decode a cursor made by encodeCursor. Returns null if it is malformed.
+ */
+export const decodeCursor = (cursor, sortFields) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof id !== 'string' || !/^[0-9a-f]{24}$/i.test(id)) return null;
+    if (!Array.isArray(v) || v.length !== sortFields.length) return null;
+
+    const values = v.map((value, index) =>
+      value !== null && DATE_SORT_FIELDS.includes(sortFields[index]) ? new Date(value) : value
+    );
+    if (values.some((value) => value instanceof Date && Number.isNaN(value.getTime()))) {
+      return null;
+    }
+    return { values, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Condition selecting values of one field that sort after `value`, or null
+ * when none do. MongoDB sorts nulls first, so ascending goes nulls -> values
+ * and descending goes values -> nulls.
+ */
+const fieldAfter = (field, direction, value) => {
+  if (value === null) {
+    return direction === 1 ? { [field]: { $ne: null } } : null;
+  }
+  return direction === 1
+    ? { [field]: { $gt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Query condition selecting tasks after the cursor position for a sort on
+ * `sortFields` then `_id`, all in the same direction
+ */
+export const afterCursorCondition = (sortFields, direction, { values, id }, toObjectId) => {
+  const conditions = [];
+
+  // Same values up to a field, then a later value in that field
+  sortFields.forEach((field, index) => {
+    const after = fieldAfter(field, direction, values[index]);
+    if (!after) return;
+
+    const equalBefore = Object.fromEntries(
+      sortFields.slice(0, index).map((f, i) => [f, values[i]])
+    );
+    conditions.push({ ...equalBefore, ...after });
+  });
+
+  // Same values everywhere, then a later _id
+  conditions.push({
+    ...Object.fromEntries(sortFields.map((f, i) => [f, values[i]])),
+    _id: direction === 1 ? { $gt: toObjectId(id) } : { $lt: toObjectId(id) },
+  });
+
+  return { $or: conditions };
+};
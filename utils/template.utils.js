@@ -0,0 +1,61 @@
+import { isValidLabelColor } from './label.utils.js';
+
+/**
+ * Fill in a template title: {title} is the title given when creating the
+ * task, {date} today's date (YYYY-MM-DD) and {board} the board's title
+ */
+export const applyTitlePattern = (pattern, { title = '', board, now = new Date() }) =>
+  pattern
+    .replace(/\{title\}/g, () => title)
+    .replace(/\{date\}/g, now.toISOString().slice(0, 10))
+    .replace(/\{board\}/g, () => board.title)
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Normalize template labels from the request body ([{ name, color }]).
+ * Returns undefined when not provided, or false when a color is invalid.
+ */
+export const normalizeTemplateLabels = (labels) => {
+  if (labels === undefined) return undefined;
+  if (!Array.isArray(labels)) return false;
+  if (!labels.every((label) => isValidLabelColor(label?.color))) return false;
+
+  return labels.map((label) => ({ name: label.name || '', color: label.color }));
+};
+
+/**
+ * Normalize template checklists from the request body ([{ title, items }],
+ * items being texts). Returns undefined when not provided, or false when invalid.
+ */
+export const normalizeTemplateChecklists = (checklists) => {
+  if (checklists === undefined) return undefined;
+  if (!Array.isArray(checklists)) return false;
+  if (!checklists.every((c) => c?.title?.trim() && (c.items === undefined || Array.isArray(c.items)))) {
+    return false;
+  }
+
+  return checklists.map((checklist) => ({
+    title: checklist.title,
+    items: (checklist.items || []).map((item) => String(item).trim()).filter(Boolean),
+  }));
+};
+
+/**
+ * Fields of a task created from a template on a board (labels aside, as
+ * they go through the board's label set). Assignees who left the workspace
+ * are skipped; checklist items start unchecked.
+ */
+export const templateTaskFields = (template, { board, workspace, title }) => {
+  const memberIds = workspace.members.map((m) => m.user.toString());
+
+  return {
+    title: applyTitlePattern(template.title, { title, board }),
+    description: template.description,
+    checklists: template.checklists.map((checklist) => ({
+      title: checklist.title,
+      items: checklist.items.map((text) => ({ text })),
+    })),
+    assignedTo: template.assignees.filter((id) => memberIds.includes(id.toString())),
+  };
+};